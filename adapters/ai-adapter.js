@@ -29,6 +29,7 @@ class OllamaClient {
     const response = await fetch(`${this.baseUrl}/api/generate`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
+      signal: options.signal,
       body: JSON.stringify({
         model,
         prompt,
@@ -53,10 +54,11 @@ class OllamaClient {
   /**
    * Generate embeddings
    */
-  async embeddings(model, prompt) {
+  async embeddings(model, prompt, options = {}) {
     const response = await fetch(`${this.baseUrl}/api/embeddings`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
+      signal: options.signal,
       body: JSON.stringify({ model, prompt })
     });
 
@@ -334,7 +336,7 @@ class AIAdapter extends Adapter {
     return { valid: true };
   }
 
-  async execute(step, context) {
+  async execute(step, context = {}) {
     await this.initialize();
 
     const startTime = Date.now();
@@ -344,19 +346,19 @@ class AIAdapter extends Adapter {
 
       switch (step.type) {
         case 'ai_infer':
-          output = await this._executeInfer(step);
+          output = await this._executeInfer(step, context);
           break;
         case 'ai_embed':
-          output = await this._executeEmbed(step);
+          output = await this._executeEmbed(step, context);
           break;
         case 'ai_classify':
-          output = await this._executeClassify(step);
+          output = await this._executeClassify(step, context);
           break;
         case 'ai_sentiment':
-          output = await this._executeSentiment(step);
+          output = await this._executeSentiment(step, context);
           break;
         case 'ai_summarize':
-          output = await this._executeSummarize(step);
+          output = await this._executeSummarize(step, context);
           break;
         default:
           throw new Error(`Unknown step type: ${step.type}`);
@@ -396,13 +398,14 @@ class AIAdapter extends Adapter {
   /**
    * Execute inference
    */
-  async _executeInfer(step) {
+  async _executeInfer(step, context) {
     const { model, prompt, seed, temperature, max_tokens } = step.params;
 
     const result = await this.client.generate(model, prompt, {
       seed: seed || 42,
       temperature: temperature !== undefined ? temperature : 0.0,
-      num_predict: max_tokens || 512
+      num_predict: max_tokens || 512,
+      signal: context.signal
     });
 
     return {
@@ -418,10 +421,10 @@ class AIAdapter extends Adapter {
   /**
    * Execute embedding
    */
-  async _executeEmbed(step) {
+  async _executeEmbed(step, context) {
     const { model, text } = step.params;
 
-    const result = await this.client.embeddings(model, text);
+    const result = await this.client.embeddings(model, text, { signal: context.signal });
 
     return {
       embedding: result.embedding,
@@ -434,7 +437,7 @@ class AIAdapter extends Adapter {
   /**
    * Execute classification
    */
-  async _executeClassify(step) {
+  async _executeClassify(step, context) {
     const { model, text, categories, seed, temperature } = step.params;
 
     // Build classification prompt
@@ -448,7 +451,8 @@ Category:`;
     const result = await this.client.generate(model, prompt, {
       seed: seed || 42,
       temperature: temperature !== undefined ? temperature : 0.0,
-      num_predict: 50
+      num_predict: 50,
+      signal: context.signal
     });
 
     // Parse the response to extract category and confidence
@@ -487,7 +491,7 @@ Category:`;
   /**
    * Execute sentiment analysis
    */
-  async _executeSentiment(step) {
+  async _executeSentiment(step, context) {
     const { model, text, seed } = step.params;
 
     const prompt = `Analyze the sentiment of the following text. 
@@ -500,7 +504,8 @@ Sentiment:`;
     const result = await this.client.generate(model, prompt, {
       seed: seed || 42,
       temperature: 0.0,
-      num_predict: 10
+      num_predict: 10,
+      signal: context.signal
     });
 
     const sentiment = result.response.trim().toLowerCase();
@@ -527,7 +532,7 @@ Sentiment:`;
   /**
    * Execute summarization
    */
-  async _executeSummarize(step) {
+  async _executeSummarize(step, context) {
     const { model, text, max_length, seed } = step.params;
 
     const prompt = `Summarize the following text in ${max_length || 100} words or less:
@@ -539,7 +544,8 @@ Summary:`;
     const result = await this.client.generate(model, prompt, {
       seed: seed || 42,
       temperature: 0.0,
-      num_predict: max_length || 100
+      num_predict: max_length || 100,
+      signal: context.signal
     });
 
     return {
@@ -19,11 +19,24 @@
  * - Gas estimation
  * - Transaction signing
  * - Mock mode for testing
+ * - ChainAdapter: chain_transfer, chain_mint and chain_call steps for
+ *   JSONFlowEngine, with gas estimates for plan()
  * 
  * @module blockchain-adapter
  */
 
 const { sha256, keccak256 } = require('./crypto-adapter');
+// Side by side with the engine when deployed, engines/ in the source tree
+function requireEngine(file) {
+  try {
+    return require(`./${file}`);
+  } catch (error) {
+    if (error.code !== 'MODULE_NOT_FOUND' || !error.message.includes(`'./${file}'`)) throw error;
+    return require(`../engines/${file}`);
+  }
+}
+const { canonicalize } = requireEngine('canonical-json.js');
+const { Adapter } = requireEngine('jsonflow-engine.js');
 
 // ============================================================================
 // Chain Configurations
@@ -434,7 +447,7 @@ class BlockchainAdapter {
    */
   async signTransaction(tx, privateKey) {
     // Simplified signing - in production use proper signing
-    const txData = JSON.stringify(tx.params);
+    const txData = canonicalize(tx.params);
     const signature = sha256(txData + privateKey);
     
     return {
@@ -457,7 +470,7 @@ class BlockchainAdapter {
    * Generate transaction hash
    */
   generateTxHash(signedTx) {
-    return '0x' + keccak256(JSON.stringify(signedTx)).substring(0, 64);
+    return '0x' + keccak256(signedTx).substring(0, 64);
   }
   
   /**
@@ -472,11 +485,11 @@ class BlockchainAdapter {
    */
   async uploadMetadata(metadata) {
     if (this.mockMode) {
-      return `ipfs://mock_${sha256(JSON.stringify(metadata)).substring(0, 16)}`;
+      return `ipfs://mock_${sha256(metadata).substring(0, 16)}`;
     }
     
     // Mock IPFS upload
-    const hash = sha256(JSON.stringify(metadata));
+    const hash = sha256(metadata);
     return `ipfs://Qm${hash.substring(0, 44)}`;
   }
   
@@ -498,12 +511,14 @@ class BlockchainAdapter {
   }
   
   /**
-   * Wait for transaction confirmation
+   * Wait for transaction confirmation. Polling stops as soon as `signal`
+   * (e.g. a step's `context.signal`) aborts, rejecting with its reason.
    */
-  async waitForConfirmation(txId, timeout = 60000) {
+  async waitForConfirmation(txId, timeout = 60000, signal = null) {
     const startTime = Date.now();
     
     while (Date.now() - startTime < timeout) {
+      signal?.throwIfAborted();
       const tx = await this.getTransaction(txId);
       
       if (!tx) {
@@ -519,8 +534,17 @@ class BlockchainAdapter {
       }
       
       // Wait 1 second before checking again
-      await new Promise(resolve => setTimeout(resolve, 1000));
+      await new Promise(resolve => {
+        const done = () => {
+          clearTimeout(timer);
+          signal?.removeEventListener('abort', done);
+          resolve();
+        };
+        const timer = setTimeout(done, 1000);
+        signal?.addEventListener('abort', done);
+      });
     }
+    signal?.throwIfAborted();
     
     throw new Error(`Transaction ${txId} confirmation timeout`);
   }
@@ -571,7 +595,7 @@ class BlockchainAdapter {
    */
   mockTransaction(type, params) {
     const tx = new Transaction(type, params);
-    tx.hash = '0x' + sha256(JSON.stringify(params)).substring(0, 64);
+    tx.hash = '0x' + sha256(params).substring(0, 64);
     tx.status = 'confirmed';
     
     this.transactions.set(tx.id, tx);
@@ -597,7 +621,7 @@ class BlockchainAdapter {
     
     if (this.mockMode) {
       return {
-        address: '0x' + sha256(JSON.stringify(owners)).substring(0, 40),
+        address: '0x' + sha256(owners).substring(0, 40),
         owners,
         threshold,
         chain
@@ -749,12 +773,165 @@ async function executeChainCall(step, context, adapter) {
   return result;
 }
 
+/**
+ * Chain Adapter - `chain_transfer`, `chain_mint` and `chain_call` steps on
+ * a BlockchainAdapter.
+ *
+ * `privateKey` is a `vault://` pointer or a `{ vault_pointer }` handle
+ * resolved through `vault` when the step runs, so the key never appears
+ * in a receipt. `estimate` reports the gas of a step without signing or
+ * submitting anything, for `JSONFlowEngine.plan`.
+ */
+class ChainAdapter extends Adapter {
+  constructor(blockchain = new BlockchainAdapter(), vault = null) {
+    super();
+    this.blockchain = blockchain;
+    this.vault = vault;
+  }
+
+  getManifest() {
+    const privateKey = { anyOf: [{ type: 'string', pattern: '^vault://' }, { type: 'object', required: ['vault_pointer'] }] };
+
+    return {
+      adapter_id: 'chain',
+      version: '1.0.0',
+      step_types: [
+        {
+          type: 'chain_transfer',
+          description: 'Transfer native tokens or a token contract balance',
+          params: {
+            type: 'object',
+            required: ['to', 'amount', 'privateKey'],
+            properties: {
+              chain: { type: 'string' },
+              from: { type: 'string' },
+              to: { type: 'string' },
+              amount: { type: 'number', exclusiveMinimum: 0 },
+              token: { type: 'string' },
+              privateKey
+            }
+          },
+          deterministic: false
+        },
+        {
+          type: 'chain_mint',
+          description: 'Mint an NFT with its metadata',
+          params: {
+            type: 'object',
+            required: ['contract', 'to', 'privateKey'],
+            properties: {
+              chain: { type: 'string' },
+              contract: { type: 'string' },
+              to: { type: 'string' },
+              tokenId: { type: 'string' },
+              metadata: { type: 'object' },
+              privateKey
+            }
+          },
+          deterministic: false
+        },
+        {
+          type: 'chain_call',
+          description: 'Call a smart contract method',
+          params: {
+            type: 'object',
+            required: ['contract', 'method', 'privateKey'],
+            properties: {
+              chain: { type: 'string' },
+              contract: { type: 'string' },
+              method: { type: 'string' },
+              args: { type: 'array' },
+              value: { type: 'number', minimum: 0 },
+              privateKey
+            }
+          },
+          deterministic: false
+        }
+      ]
+    };
+  }
+
+  validate(step) {
+    if (!ChainAdapter.TX_TYPES[step.type]) {
+      return { valid: false, error: `Unknown step type: ${step.type}` };
+    }
+    if (step.params?.chain !== undefined && !this.blockchain.chains[String(step.params.chain).toLowerCase()]) {
+      return { valid: false, error: `Unsupported chain: ${step.params.chain}` };
+    }
+    return { valid: true };
+  }
+
+  async estimate(step) {
+    const params = step.params || {};
+    const chain = params.chain || this.blockchain.defaultChain;
+    const { symbol } = this.blockchain.getChain(chain);
+    const gas = await this.blockchain.estimateGas({ type: ChainAdapter.TX_TYPES[step.type], params });
+
+    return { chain, symbol, ...gas };
+  }
+
+  async _resolveKey(key) {
+    const pointer = typeof key === 'string' ? key : key?.vault_pointer;
+    if (!this.vault) {
+      throw new Error(`Private key ${pointer} requires a vault`);
+    }
+    const value = await this.vault.get(pointer);
+    if (value === null || value === undefined) {
+      throw new Error(`Private key not found in vault: ${pointer}`);
+    }
+    return value?.privateKey ?? value;
+  }
+
+  async execute(step, context = {}) {
+    const startTime = Date.now();
+
+    try {
+      const params = { ...step.params, privateKey: await this._resolveKey(step.params.privateKey) };
+      const result = step.type === 'chain_transfer' ? await this.blockchain.transfer(params)
+        : step.type === 'chain_mint' ? await this.blockchain.mintNFT(params)
+          : await this.blockchain.callContract(params);
+      // Mock transactions echo their params, key included
+      const { privateKey, ...output } = result;
+
+      return this._receipt(step, startTime, { status: 'success', output });
+    } catch (error) {
+      return this._receipt(step, startTime, {
+        status: 'error',
+        error: { code: 'CHAIN_ERROR', message: error.message, retryable: false }
+      });
+    }
+  }
+
+  _receipt(step, startTime, fields) {
+    return {
+      step_id: step.id,
+      ...fields,
+      execution_metadata: {
+        timestamp: new Date().toISOString(),
+        latency_ms: Date.now() - startTime,
+        adapter_version: this.getManifest().version
+      }
+    };
+  }
+
+  async healthCheck() {
+    return { status: 'healthy', chains: Object.keys(this.blockchain.chains), timestamp: new Date().toISOString() };
+  }
+}
+
+ChainAdapter.TX_TYPES = {
+  chain_transfer: 'transfer',
+  chain_mint: 'mint_nft',
+  chain_call: 'call_contract'
+};
+
 // ============================================================================
 // Exports
 // ============================================================================
 
 module.exports = {
   BlockchainAdapter,
+  ChainAdapter,
   Transaction,
   CHAIN_CONFIGS,
   executeChainTransfer,
@@ -15,6 +15,15 @@
  */
 
 const crypto = require('crypto');
+// Side by side with the engine when deployed, engines/ in the source tree
+const { canonicalize } = (() => {
+  try {
+    return require('./canonical-json.js');
+  } catch (error) {
+    if (error.code !== 'MODULE_NOT_FOUND' || !error.message.includes("'./canonical-json.js'")) throw error;
+    return require('../engines/canonical-json.js');
+  }
+})();
 
 // ============================================================================
 // Hash Algorithms
@@ -25,7 +34,7 @@ const crypto = require('crypto');
  */
 function sha256(data) {
   const hash = crypto.createHash('sha256');
-  hash.update(typeof data === 'string' ? data : JSON.stringify(data));
+  hash.update(typeof data === 'string' ? data : canonicalize(data));
   return hash.digest('hex');
 }
 
@@ -34,7 +43,7 @@ function sha256(data) {
  */
 function sha512(data) {
   const hash = crypto.createHash('sha512');
-  hash.update(typeof data === 'string' ? data : JSON.stringify(data));
+  hash.update(typeof data === 'string' ? data : canonicalize(data));
   return hash.digest('hex');
 }
 
@@ -45,7 +54,7 @@ function keccak256(data) {
   // Node.js crypto doesn't have keccak, so we use SHA3-256 as approximation
   // In production, use a proper keccak library like 'js-sha3'
   const hash = crypto.createHash('sha3-256');
-  hash.update(typeof data === 'string' ? data : JSON.stringify(data));
+  hash.update(typeof data === 'string' ? data : canonicalize(data));
   return hash.digest('hex');
 }
 
@@ -55,7 +64,7 @@ function keccak256(data) {
 function blake2b(data, size = 32) {
   // Node.js crypto supports blake2b512
   const hash = crypto.createHash('blake2b512');
-  hash.update(typeof data === 'string' ? data : JSON.stringify(data));
+  hash.update(typeof data === 'string' ? data : canonicalize(data));
   const fullHash = hash.digest('hex');
   // Truncate to requested size (in bytes)
   return fullHash.substring(0, size * 2);
@@ -66,7 +75,7 @@ function blake2b(data, size = 32) {
  */
 function ripemd160(data) {
   const hash = crypto.createHash('ripemd160');
-  hash.update(typeof data === 'string' ? data : JSON.stringify(data));
+  hash.update(typeof data === 'string' ? data : canonicalize(data));
   return hash.digest('hex');
 }
 
@@ -176,7 +185,7 @@ function generateMnemonic(wordCount = 12) {
  * Sign data with Ed25519
  */
 function signEd25519(data, privateKey) {
-  const dataToSign = typeof data === 'string' ? data : JSON.stringify(data);
+  const dataToSign = typeof data === 'string' ? data : canonicalize(data);
   const signature = crypto.sign(null, Buffer.from(dataToSign), {
     key: privateKey,
     format: 'pem'
@@ -190,7 +199,7 @@ function signEd25519(data, privateKey) {
  */
 function verifyEd25519(data, signature, publicKey) {
   try {
-    const dataToVerify = typeof data === 'string' ? data : JSON.stringify(data);
+    const dataToVerify = typeof data === 'string' ? data : canonicalize(data);
     const signatureBuffer = Buffer.from(signature, 'hex');
     
     const isValid = crypto.verify(
@@ -210,7 +219,7 @@ function verifyEd25519(data, signature, publicKey) {
  * Sign data with ECDSA
  */
 function signECDSA(data, privateKey, algorithm = 'sha256') {
-  const dataToSign = typeof data === 'string' ? data : JSON.stringify(data);
+  const dataToSign = typeof data === 'string' ? data : canonicalize(data);
   const signature = crypto.sign(algorithm, Buffer.from(dataToSign), {
     key: privateKey,
     format: 'pem'
@@ -224,7 +233,7 @@ function signECDSA(data, privateKey, algorithm = 'sha256') {
  */
 function verifyECDSA(data, signature, publicKey, algorithm = 'sha256') {
   try {
-    const dataToVerify = typeof data === 'string' ? data : JSON.stringify(data);
+    const dataToVerify = typeof data === 'string' ? data : canonicalize(data);
     const signatureBuffer = Buffer.from(signature, 'hex');
     
     const isValid = crypto.verify(
@@ -244,7 +253,7 @@ function verifyECDSA(data, signature, publicKey, algorithm = 'sha256') {
  * Sign data with RSA
  */
 function signRSA(data, privateKey, algorithm = 'sha256') {
-  const dataToSign = typeof data === 'string' ? data : JSON.stringify(data);
+  const dataToSign = typeof data === 'string' ? data : canonicalize(data);
   const signature = crypto.sign(algorithm, Buffer.from(dataToSign), {
     key: privateKey,
     format: 'pem',
@@ -259,7 +268,7 @@ function signRSA(data, privateKey, algorithm = 'sha256') {
  */
 function verifyRSA(data, signature, publicKey, algorithm = 'sha256') {
   try {
-    const dataToVerify = typeof data === 'string' ? data : JSON.stringify(data);
+    const dataToVerify = typeof data === 'string' ? data : canonicalize(data);
     const signatureBuffer = Buffer.from(signature, 'hex');
     
     const isValid = crypto.verify(
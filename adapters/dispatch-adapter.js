@@ -0,0 +1,606 @@
+/**
+ * JSONFlow Dispatch Adapters
+ * The step types of the legacy Unified Address Dispatch WorkflowEngine
+ * (engines/workflow-engine.js) as JSONFlowEngine adapters, so messaging
+ * workflows get receipts, Merkle roots and (with `parallel: true`) parallel
+ * execution:
+ *
+ * - vault_get          VaultAdapter
+ * - crypto_sign        SigningAdapter
+ * - ipfs_add           IPFSAdapter (ipfs-adapter.js)
+ * - json_compose       MessagingAdapter
+ * - event_emit         MessagingAdapter
+ * - transport_router   MessagingAdapter
+ *
+ * Legacy workflows (`config` and `{{ }}` placeholders) are migrated to
+ * `params` and `$` references when parsed; see `Migrations`.
+ */
+
+// Import base adapter
+let Adapter;
+let canonicalize;
+if (typeof require !== 'undefined') {
+  // Side by side with the engine when deployed, engines/ in the source tree
+  let JSONFlow;
+  try {
+    JSONFlow = require('./jsonflow-engine.js');
+  } catch (error) {
+    if (error.code !== 'MODULE_NOT_FOUND' || !error.message.includes("'./jsonflow-engine.js'")) throw error;
+    JSONFlow = require('../engines/jsonflow-engine.js');
+  }
+  Adapter = JSONFlow.Adapter;
+  canonicalize = JSONFlow.canonicalize;
+} else {
+  Adapter = window.JSONFlow.Adapter;
+  canonicalize = window.JSONFlow.canonicalize;
+}
+
+/**
+ * Build a receipt in the shape every JSONFlow adapter returns. A failed
+ * step may still carry an output, e.g. the transports it tried.
+ */
+function dispatchReceipt(adapter, step, startTime, output, error = null) {
+  return {
+    step_id: step.id,
+    status: error ? 'error' : 'success',
+    ...(output !== null ? { output } : {}),
+    ...(error ? { error } : {}),
+    execution_metadata: {
+      timestamp: new Date().toISOString(),
+      latency_ms: Date.now() - startTime,
+      adapter_version: adapter.getManifest().version
+    }
+  };
+}
+
+// ============================================================================
+// VAULT
+// ============================================================================
+
+/**
+ * Vault Adapter - `vault_get` resolves a `vault://` pointer.
+ *
+ * Receipts are persisted, signed and exported, so the secret itself is
+ * never a step output: the step checks the pointer and outputs a
+ * `{ vault_pointer }` handle, which SigningAdapter resolves when it signs.
+ * `vault` is anything with `get(pointer)`, e.g. VaultManager.
+ */
+class VaultAdapter extends Adapter {
+  constructor(vault) {
+    super();
+    if (!vault || typeof vault.get !== 'function') {
+      throw new Error('VaultAdapter requires a vault with get()');
+    }
+    this.vault = vault;
+  }
+
+  getManifest() {
+    return {
+      adapter_id: 'vault',
+      version: '1.0.0',
+      step_types: [
+        {
+          type: 'vault_get',
+          description: 'Check a vault pointer and return a handle to its secret',
+          params: {
+            type: 'object',
+            required: ['pointer'],
+            properties: {
+              pointer: { type: 'string', pattern: '^vault://' }
+            }
+          },
+          output_schema: {
+            type: 'object',
+            properties: { vault_pointer: { type: 'string' } },
+            additionalProperties: false
+          },
+          deterministic: false
+        }
+      ]
+    };
+  }
+
+  validate(step) {
+    if (step.type !== 'vault_get') {
+      return { valid: false, error: `Unknown step type: ${step.type}` };
+    }
+    return { valid: true };
+  }
+
+  async execute(step, context = {}) {
+    const startTime = Date.now();
+    const { pointer } = step.params;
+
+    try {
+      const value = await this.vault.get(pointer);
+      if (value === null || value === undefined) {
+        return dispatchReceipt(this, step, startTime, null, {
+          code: 'VAULT_KEY_NOT_FOUND',
+          message: `Vault key not found: ${pointer}`,
+          retryable: false
+        });
+      }
+      return dispatchReceipt(this, step, startTime, { vault_pointer: pointer });
+    } catch (error) {
+      return dispatchReceipt(this, step, startTime, null, {
+        code: 'VAULT_ERROR',
+        message: error.message,
+        retryable: false
+      });
+    }
+  }
+
+  async healthCheck() {
+    return { status: 'healthy', timestamp: new Date().toISOString() };
+  }
+}
+
+// ============================================================================
+// SIGNING
+// ============================================================================
+
+/**
+ * Signing Adapter - `crypto_sign` signs a payload.
+ *
+ * `key` is a `vault://` pointer, a `{ vault_pointer }` handle from
+ * `vault_get`, or (not recommended: it is recorded in the receipt's
+ * inputs) a private key. By default it signs as the legacy CryptoService
+ * does, so legacy verifiers accept the signature: `ECDSA-SHA256` (P-256)
+ * over `JSON.stringify(payload)` with WebCrypto, base64 encoded. The key
+ * is a CryptoKey, a CryptoKeyPair or a PKCS#8 PEM string. Other
+ * algorithms, or key pairs that name their own, sign the canonical JSON
+ * of the payload through `crypto`: anything with
+ * `sign(data, key, algorithm)`, e.g. CryptoAdapter.
+ */
+class SigningAdapter extends Adapter {
+  constructor(crypto = null, vault = null) {
+    super();
+    if (crypto && typeof crypto.sign !== 'function') {
+      throw new Error('SigningAdapter requires a crypto adapter with sign()');
+    }
+    this.crypto = crypto;
+    this.vault = vault;
+  }
+
+  getManifest() {
+    return {
+      adapter_id: 'signing',
+      version: '1.0.0',
+      step_types: [
+        {
+          type: 'crypto_sign',
+          description: 'Sign a payload with a vault-held or given key',
+          params: {
+            type: 'object',
+            required: ['key', 'payload'],
+            properties: {
+              key: {},
+              payload: {},
+              algorithm: { type: 'string' }
+            }
+          },
+          output_schema: {
+            type: 'object',
+            properties: {
+              signature: { type: 'string' },
+              payload: {},
+              algorithm: { type: 'string' }
+            },
+            additionalProperties: false
+          },
+          deterministic: false
+        }
+      ]
+    };
+  }
+
+  validate(step) {
+    if (step.type !== 'crypto_sign') {
+      return { valid: false, error: `Unknown step type: ${step.type}` };
+    }
+    return { valid: true };
+  }
+
+  async _resolveKey(key) {
+    const pointer = typeof key === 'string' && key.startsWith('vault://')
+      ? key
+      : key?.vault_pointer;
+    if (!pointer) return key;
+
+    if (!this.vault) {
+      throw new Error(`Signing key ${pointer} requires a vault`);
+    }
+    const value = await this.vault.get(pointer);
+    if (value === null || value === undefined) {
+      throw new Error(`Signing key not found in vault: ${pointer}`);
+    }
+    return value;
+  }
+
+  async execute(step, context = {}) {
+    const startTime = Date.now();
+    const { key, payload } = step.params;
+
+    try {
+      const resolved = await this._resolveKey(key);
+
+      // Key pairs as generated by CryptoAdapter carry their own algorithm
+      const isPair = resolved !== null && typeof resolved === 'object' && resolved.privateKey;
+      const algorithm = step.params.algorithm || (isPair && resolved.algorithm) || SigningAdapter.LEGACY_ALGORITHM;
+      const privateKey = isPair ? resolved.privateKey : resolved;
+
+      let signature;
+      if (algorithm === SigningAdapter.LEGACY_ALGORITHM) {
+        signature = await SigningAdapter.signLegacy(payload, privateKey);
+      } else if (this.crypto) {
+        signature = await this.crypto.sign(canonicalize(payload), privateKey, algorithm);
+      } else {
+        throw new Error(`Signing with ${algorithm} requires a crypto adapter`);
+      }
+      return dispatchReceipt(this, step, startTime, { signature, payload, algorithm });
+    } catch (error) {
+      return dispatchReceipt(this, step, startTime, null, {
+        code: 'SIGNING_ERROR',
+        message: error.message,
+        retryable: false
+      });
+    }
+  }
+
+  /**
+   * Sign as the legacy CryptoService: ECDSA P-256 with SHA-256 over
+   * `JSON.stringify(payload)`, the raw signature base64 encoded
+   */
+  static async signLegacy(payload, privateKey) {
+    const subtle = globalThis.crypto?.subtle;
+    if (!subtle) {
+      throw new Error(`${SigningAdapter.LEGACY_ALGORITHM} signing requires WebCrypto`);
+    }
+
+    const key = typeof privateKey === 'string'
+      ? await subtle.importKey(
+        'pkcs8',
+        Uint8Array.from(atob(privateKey.replace(/-----[^-]+-----|\s/g, '')), c => c.charCodeAt(0)),
+        { name: 'ECDSA', namedCurve: 'P-256' },
+        false,
+        ['sign']
+      )
+      : privateKey;
+
+    const signature = await subtle.sign(
+      { name: 'ECDSA', hash: 'SHA-256' },
+      key,
+      new TextEncoder().encode(JSON.stringify(payload))
+    );
+    return btoa(String.fromCharCode(...new Uint8Array(signature)));
+  }
+
+  async healthCheck() {
+    return { status: 'healthy', timestamp: new Date().toISOString() };
+  }
+}
+
+SigningAdapter.LEGACY_ALGORITHM = 'ECDSA-SHA256';
+
+// ============================================================================
+// MESSAGING
+// ============================================================================
+
+/**
+ * Memory Storage - The `localStorage` interface in memory, where there is
+ * no `localStorage`
+ */
+class MemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+}
+
+/**
+ * The storage event logs and inboxes persist to: `localStorage` where
+ * there is one, as the legacy services use, else memory
+ */
+function defaultStorage() {
+  try {
+    if (globalThis.localStorage) return globalThis.localStorage;
+  } catch (error) {
+    // Access to localStorage is denied, e.g. in a sandboxed frame
+  }
+  return new MemoryStorage();
+}
+
+function readList(storage, key) {
+  const stored = storage.getItem(key);
+  return stored ? JSON.parse(stored) : [];
+}
+
+/**
+ * Event Bus - Pub/sub for `identity://<address>/<inbox>` channels. Each
+ * address's event log is kept under `events:<address>` in `storage`, as
+ * the legacy EventBus keeps it. A subscriber that throws does not fail
+ * the emit; its error is passed to `onError(error, event)` if given.
+ */
+class EventBus {
+  constructor({ storage = defaultStorage(), onError = null } = {}) {
+    this.storage = storage;
+    this.onError = onError;
+    this.channels = new Map();
+  }
+
+  async emit(channel, payload) {
+    const [, address, inbox] = /^identity:\/\/([^/]+)\/(.+)$/.exec(channel) || [];
+    if (!address) {
+      throw new Error(`Invalid channel: ${channel}`);
+    }
+
+    const event = {
+      id: `evt_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`,
+      channel,
+      address,
+      inbox,
+      payload,
+      timestamp: Date.now()
+    };
+
+    const log = this.getEventLog(address);
+    log.push(event);
+    this.storage.setItem(`events:${address}`, JSON.stringify(log));
+
+    for (const callback of this.channels.get(channel) || []) {
+      try {
+        callback(event);
+      } catch (error) {
+        if (this.onError) this.onError(error, event);
+      }
+    }
+
+    return event;
+  }
+
+  subscribe(channel, callback) {
+    if (!this.channels.has(channel)) this.channels.set(channel, []);
+    this.channels.get(channel).push(callback);
+    return () => this.unsubscribe(channel, callback);
+  }
+
+  unsubscribe(channel, callback) {
+    const subscribers = this.channels.get(channel) || [];
+    const idx = subscribers.indexOf(callback);
+    if (idx !== -1) subscribers.splice(idx, 1);
+  }
+
+  getEventLog(address) {
+    return readList(this.storage, `events:${address}`);
+  }
+}
+
+/**
+ * App Inbox - Direct in-app delivery, the transport that is always
+ * available. Inboxes are kept under `inbox:<recipient>` in `storage`, as
+ * the legacy AppAdapter keeps them.
+ */
+class AppInbox {
+  constructor({ storage = defaultStorage() } = {}) {
+    this.storage = storage;
+  }
+
+  async send(recipient, payload) {
+    const message = {
+      id: `msg_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`,
+      recipient,
+      payload,
+      delivered_at: Date.now(),
+      read: false
+    };
+
+    const inbox = this.getInbox(recipient);
+    inbox.push(message);
+    this.storage.setItem(`inbox:${recipient}`, JSON.stringify(inbox));
+
+    return { method: 'app', message_id: message.id, delivered_at: message.delivered_at };
+  }
+
+  getInbox(recipient) {
+    return readList(this.storage, `inbox:${recipient}`);
+  }
+}
+
+/**
+ * Transport Router - Delivers a payload over the first transport in
+ * `fallback_order` that succeeds. A transport is anything with
+ * `send(recipient, payload, signal)`; `app` (AppInbox) is built in.
+ */
+class TransportRouter {
+  constructor(transports = {}, { storage = defaultStorage() } = {}) {
+    this.transports = { app: new AppInbox({ storage }), ...transports };
+  }
+
+  async route({ recipient, payload, fallback_order: fallbackOrder }, signal = null) {
+    const results = {
+      recipient,
+      attempts: [],
+      delivered: false,
+      final_transport: null
+    };
+
+    for (const name of fallbackOrder) {
+      signal?.throwIfAborted();
+      const transport = this.transports[name];
+
+      if (!transport) {
+        results.attempts.push({ transport: name, status: 'adapter_not_found', error: `No adapter for ${name}` });
+        continue;
+      }
+
+      try {
+        const result = await transport.send(recipient, payload, signal);
+        results.attempts.push({ transport: name, status: 'success', result });
+        results.delivered = true;
+        results.final_transport = name;
+        break;
+      } catch (error) {
+        results.attempts.push({ transport: name, status: 'failed', error: error.message });
+      }
+    }
+
+    if (!results.delivered) {
+      const error = new Error(`All transports failed for ${recipient}`);
+      error.attempts = results.attempts;
+      throw error;
+    }
+
+    return results;
+  }
+}
+
+/**
+ * Messaging Adapter - `json_compose`, `event_emit` and `transport_router`.
+ *
+ * `eventBus` and `transports` may be the legacy EventBus and
+ * TransportRouter themselves (engines/workflow-engine.js); a router is
+ * anything with `route(config, signal)`, otherwise `transports` maps names
+ * to transports. The default bus and app inbox persist to `storage`
+ * (`localStorage` where there is one) under the legacy keys, so event logs
+ * and inboxes carry over between the two engines and across sessions.
+ */
+class MessagingAdapter extends Adapter {
+  constructor({ storage = defaultStorage(), eventBus = new EventBus({ storage }), transports = {} } = {}) {
+    super();
+    this.eventBus = eventBus;
+    this.router = typeof transports.route === 'function' ? transports : new TransportRouter(transports, { storage });
+  }
+
+  getManifest() {
+    return {
+      adapter_id: 'messaging',
+      version: '1.0.0',
+      step_types: [
+        {
+          type: 'json_compose',
+          description: 'Output the composed message; a value other than an object is output as { message }',
+          params: {
+            type: 'object',
+            required: ['message'],
+            properties: { message: {} }
+          },
+          deterministic: true
+        },
+        {
+          type: 'event_emit',
+          description: 'Emit an event on an identity:// channel',
+          params: {
+            type: 'object',
+            required: ['channel'],
+            properties: {
+              channel: { type: 'string', pattern: '^identity://[^/]+/.+' },
+              payload: {}
+            }
+          },
+          deterministic: false
+        },
+        {
+          type: 'transport_router',
+          description: 'Deliver a payload over the first working transport',
+          params: {
+            type: 'object',
+            required: ['recipient', 'fallback_order'],
+            properties: {
+              recipient: { type: 'string' },
+              payload: {},
+              fallback_order: { type: 'array', minItems: 1, items: { type: 'string' } }
+            }
+          },
+          deterministic: false
+        }
+      ]
+    };
+  }
+
+  validate(step) {
+    if (!['json_compose', 'event_emit', 'transport_router'].includes(step.type)) {
+      return { valid: false, error: `Unknown step type: ${step.type}` };
+    }
+    return { valid: true };
+  }
+
+  async execute(step, context = {}) {
+    const startTime = Date.now();
+
+    try {
+      let output;
+      switch (step.type) {
+        case 'json_compose': {
+          // Receipt outputs are objects; the legacy engine returned any value
+          const { message } = step.params;
+          const isObject = message !== null && typeof message === 'object' && !Array.isArray(message);
+          output = isObject ? message : { message };
+          break;
+        }
+        case 'event_emit': {
+          const { id, channel, address, inbox, timestamp } = await this.eventBus.emit(step.params.channel, step.params.payload);
+          output = { id, channel, address, inbox, timestamp };
+          break;
+        }
+        case 'transport_router':
+          output = await this.router.route(step.params, context.signal);
+          break;
+        default:
+          throw new Error(`Unknown step type: ${step.type}`);
+      }
+      return dispatchReceipt(this, step, startTime, output);
+    } catch (error) {
+      // Timeouts and cancellation are recorded by the engine
+      if (context.signal?.aborted) throw error;
+      return dispatchReceipt(this, step, startTime, error.attempts ? { attempts: error.attempts } : null, {
+        code: step.type === 'transport_router' ? 'TRANSPORT_ERROR' : 'MESSAGING_ERROR',
+        message: error.message,
+        retryable: step.type === 'transport_router'
+      });
+    }
+  }
+
+  async healthCheck() {
+    return {
+      status: 'healthy',
+      transports: Object.keys(this.router.transports),
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    VaultAdapter,
+    SigningAdapter,
+    MessagingAdapter,
+    EventBus,
+    TransportRouter,
+    AppInbox,
+    MemoryStorage
+  };
+} else if (typeof window !== 'undefined') {
+  window.JSONFlow = window.JSONFlow || {};
+  window.JSONFlow.VaultAdapter = VaultAdapter;
+  window.JSONFlow.SigningAdapter = SigningAdapter;
+  window.JSONFlow.MessagingAdapter = MessagingAdapter;
+  window.JSONFlow.EventBus = EventBus;
+  window.JSONFlow.TransportRouter = TransportRouter;
+  window.JSONFlow.AppInbox = AppInbox;
+  window.JSONFlow.MemoryStorage = MemoryStorage;
+}
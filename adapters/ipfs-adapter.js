@@ -6,11 +6,14 @@
 
 // Import base adapter
 let Adapter;
+let canonicalize;
 if (typeof require !== 'undefined') {
   const JSONFlow = require('./jsonflow-engine.js');
   Adapter = JSONFlow.Adapter;
+  canonicalize = JSONFlow.canonicalize;
 } else {
   Adapter = window.JSONFlow.Adapter;
+  canonicalize = window.JSONFlow.canonicalize;
 }
 
 // ============================================================================
@@ -24,9 +27,9 @@ class IPFSClient {
   }
 
   /**
-   * Add content to IPFS
+   * Add content to IPFS. `options.signal` aborts the request.
    */
-  async add(content) {
+  async add(content, options = {}) {
     const formData = new FormData();
     
     // Handle different content types
@@ -43,7 +46,8 @@ class IPFSClient {
 
     const response = await fetch(`${this.apiUrl}/api/v0/add`, {
       method: 'POST',
-      body: formData
+      body: formData,
+      signal: options.signal
     });
 
     if (!response.ok) {
@@ -61,8 +65,8 @@ class IPFSClient {
   /**
    * Get content from IPFS
    */
-  async get(cid) {
-    const response = await fetch(`${this.gateway}/ipfs/${cid}`);
+  async get(cid, options = {}) {
+    const response = await fetch(`${this.gateway}/ipfs/${cid}`, { signal: options.signal });
     
     if (!response.ok) {
       throw new Error(`IPFS fetch error: ${response.statusText}`);
@@ -80,9 +84,10 @@ class IPFSClient {
   /**
    * Pin content to local node
    */
-  async pin(cid) {
+  async pin(cid, options = {}) {
     const response = await fetch(`${this.apiUrl}/api/v0/pin/add?arg=${cid}`, {
-      method: 'POST'
+      method: 'POST',
+      signal: options.signal
     });
 
     if (!response.ok) {
@@ -99,9 +104,10 @@ class IPFSClient {
   /**
    * Unpin content
    */
-  async unpin(cid) {
+  async unpin(cid, options = {}) {
     const response = await fetch(`${this.apiUrl}/api/v0/pin/rm?arg=${cid}`, {
-      method: 'POST'
+      method: 'POST',
+      signal: options.signal
     });
 
     if (!response.ok) {
@@ -114,12 +120,13 @@ class IPFSClient {
   /**
    * Publish to pubsub topic
    */
-  async pubsubPublish(topic, message) {
+  async pubsubPublish(topic, message, options = {}) {
     const data = typeof message === 'string' ? message : JSON.stringify(message);
     
     const response = await fetch(`${this.apiUrl}/api/v0/pubsub/pub?arg=${encodeURIComponent(topic)}`, {
       method: 'POST',
-      body: data
+      body: data,
+      signal: options.signal
     });
 
     if (!response.ok) {
@@ -237,7 +244,7 @@ class MockIPFSClient {
    * Generate mock CID
    */
   _generateCID(content) {
-    const str = typeof content === 'string' ? content : JSON.stringify(content);
+    const str = typeof content === 'string' ? content : canonicalize(content);
     let hash = 0;
     for (let i = 0; i < str.length; i++) {
       const char = str.charCodeAt(i);
@@ -499,7 +506,7 @@ class IPFSAdapter extends Adapter {
     return { valid: true };
   }
 
-  async execute(step, context) {
+  async execute(step, context = {}) {
     await this.initialize();
 
     const startTime = Date.now();
@@ -509,25 +516,25 @@ class IPFSAdapter extends Adapter {
 
       switch (step.type) {
         case 'ipfs_add':
-          output = await this._executeAdd(step);
+          output = await this._executeAdd(step, context);
           break;
         case 'ipfs_get':
-          output = await this._executeGet(step);
+          output = await this._executeGet(step, context);
           break;
         case 'ipfs_pin':
-          output = await this._executePin(step);
+          output = await this._executePin(step, context);
           break;
         case 'ipfs_unpin':
-          output = await this._executeUnpin(step);
+          output = await this._executeUnpin(step, context);
           break;
         case 'ipfs_pubsub_publish':
-          output = await this._executePubsubPublish(step);
+          output = await this._executePubsubPublish(step, context);
           break;
         case 'ipfs_pubsub_subscribe':
           output = await this._executePubsubSubscribe(step);
           break;
         case 'ipfs_workflow_pulse':
-          output = await this._executeWorkflowPulse(step);
+          output = await this._executeWorkflowPulse(step, context);
           break;
         default:
           throw new Error(`Unknown step type: ${step.type}`);
@@ -565,9 +572,9 @@ class IPFSAdapter extends Adapter {
   /**
    * Add content to IPFS
    */
-  async _executeAdd(step) {
+  async _executeAdd(step, context) {
     const { content } = step.params;
-    const result = await this.client.add(content);
+    const result = await this.client.add(content, { signal: context.signal });
 
     return {
       cid: result.cid,
@@ -581,9 +588,9 @@ class IPFSAdapter extends Adapter {
   /**
    * Get content from IPFS
    */
-  async _executeGet(step) {
+  async _executeGet(step, context) {
     const { cid } = step.params;
-    const content = await this.client.get(cid);
+    const content = await this.client.get(cid, { signal: context.signal });
 
     return {
       cid,
@@ -596,7 +603,7 @@ class IPFSAdapter extends Adapter {
   /**
    * Pin content
    */
-  async _executePin(step) {
+  async _executePin(step, context) {
     const { cid, service } = step.params;
     
     if (service && service !== 'local') {
@@ -604,7 +611,7 @@ class IPFSAdapter extends Adapter {
       throw new Error('Remote pinning services not yet implemented');
     }
 
-    const result = await this.client.pin(cid);
+    const result = await this.client.pin(cid, { signal: context.signal });
 
     return {
       cid: result.cid,
@@ -617,9 +624,9 @@ class IPFSAdapter extends Adapter {
   /**
    * Unpin content
    */
-  async _executeUnpin(step) {
+  async _executeUnpin(step, context) {
     const { cid } = step.params;
-    const result = await this.client.unpin(cid);
+    const result = await this.client.unpin(cid, { signal: context.signal });
 
     return {
       cid: result.cid,
@@ -631,9 +638,9 @@ class IPFSAdapter extends Adapter {
   /**
    * Publish to pubsub
    */
-  async _executePubsubPublish(step) {
+  async _executePubsubPublish(step, context) {
     const { topic, message } = step.params;
-    const result = await this.client.pubsubPublish(topic, message);
+    const result = await this.client.pubsubPublish(topic, message, { signal: context.signal });
 
     return {
       topic: result.topic,
@@ -669,7 +676,7 @@ class IPFSAdapter extends Adapter {
   /**
    * Emit workflow pulse
    */
-  async _executeWorkflowPulse(step) {
+  async _executeWorkflowPulse(step, context) {
     const { workflow_id, receipts, merkle_root } = step.params;
 
     // Construct pulse as IPFS DAG node
@@ -682,7 +689,7 @@ class IPFSAdapter extends Adapter {
     };
 
     // Add pulse to IPFS
-    const result = await this.client.add(pulse);
+    const result = await this.client.add(pulse, { signal: context.signal });
 
     // Publish to workflow namespace
     const topic = `/jsonflow/${workflow_id}`;
@@ -691,7 +698,7 @@ class IPFSAdapter extends Adapter {
       pulse_cid: result.cid,
       workflow_id,
       merkle_root
-    });
+    }, { signal: context.signal });
 
     return {
       pulse_cid: result.cid,
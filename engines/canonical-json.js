@@ -0,0 +1,70 @@
+/**
+ * JSONFlow Canonical JSON
+ * RFC 8785 serialization shared by the engine and the adapters that hash
+ * or sign data. Load it before jsonflow-engine.js in browsers.
+ */
+
+(function (root) {
+  const LONE_SURROGATE = /[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/;
+
+  /**
+   * Serialize a value as RFC 8785 canonical JSON (JCS): no whitespace, object
+   * keys sorted by UTF-16 code units, ECMAScript number and string
+   * serialization. Everything the engine hashes or signs goes through it, so
+   * the same data hashes identically in browsers and Node.js.
+   *
+   * Like JSON.stringify, `toJSON` is honoured and undefined members are
+   * dropped (null in arrays); non-finite numbers and lone surrogates, which
+   * I-JSON forbids, throw.
+   */
+  function canonicalize(value) {
+    if (value !== null && typeof value === 'object' && typeof value.toJSON === 'function') {
+      value = value.toJSON();
+    }
+
+    switch (typeof value) {
+      case 'boolean':
+        return value ? 'true' : 'false';
+      case 'number':
+        if (!Number.isFinite(value)) {
+          throw new Error(`Cannot canonicalize non-finite number: ${value}`);
+        }
+        return JSON.stringify(value);
+      case 'string':
+        if (LONE_SURROGATE.test(value)) {
+          throw new Error('Cannot canonicalize a string containing a lone surrogate');
+        }
+        return JSON.stringify(value);
+      case 'bigint':
+        throw new Error('Cannot canonicalize a BigInt');
+      case 'object': {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) {
+          return `[${value.map(item => canonicalize(item) ?? 'null').join(',')}]`;
+        }
+        const members = [];
+        for (const key of Object.keys(value).sort()) {
+          const member = canonicalize(value[key]);
+          if (member !== undefined) {
+            members.push(`${canonicalize(key)}:${member}`);
+          }
+        }
+        return `{${members.join(',')}}`;
+      }
+      default:
+        // undefined, functions and symbols have no JSON form
+        return undefined;
+    }
+  }
+
+  // ==========================================================================
+  // EXPORTS
+  // ==========================================================================
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { canonicalize };
+  } else if (root) {
+    root.JSONFlow = root.JSONFlow || {};
+    root.JSONFlow.canonicalize = canonicalize;
+  }
+})(typeof window !== 'undefined' ? window : null);
@@ -7,6 +7,7 @@
 
 const EventEmitter = require('events');
 const crypto = require('crypto');
+const { Parser, Migrations, MerkleTree, canonicalize } = require('./jsonflow-engine.js');
 
 class DistributedEngine extends EventEmitter {
   constructor(config) {
@@ -37,6 +38,9 @@ class DistributedEngine extends EventEmitter {
     
     // TLS configuration
     this.tls = config.tls || null;
+
+    // Optional Telemetry instance; spans follow steps across nodes
+    this.telemetry = config.telemetry || null;
     
     // Statistics
     this.stats = {
@@ -98,33 +102,67 @@ class DistributedEngine extends EventEmitter {
   }
   
   /**
-   * Execute a distributed workflow
+   * Execute a distributed workflow. `options.traceparent` is a W3C trace
+   * context header the run continues.
    */
-  async execute(workflow) {
+  async execute(workflow, options = {}) {
+    // Workflows written for an older DSL version run in their migrated form
+    workflow = Migrations.migrate(workflow).workflow;
     const workflowId = this.generateWorkflowId(workflow);
+    const span = this.telemetry?.startSpan(`workflow ${workflow.workflow}`, {
+      traceparent: options.traceparent,
+      kind: options.traceparent ? 'server' : 'internal',
+      attributes: { 'jsonflow.workflow': workflow.workflow, 'jsonflow.node_id': this.nodeId }
+    });
+    const startTime = Date.now();
     
     this.emit('workflow:started', workflowId);
     console.log(`\n[${this.nodeId}] Executing workflow: ${workflow.workflow}`);
     
     try {
-      // Parse and validate workflow
+      // Parse and validate workflow; references must point at ancestors
+      // before any step is dispatched to a node
+      const { diagnostics } = Parser.parse(workflow);
+      const errors = diagnostics.filter(d => d.severity === 'error');
+      if (errors.length > 0) {
+        const error = new Error(`Invalid workflow: ${JSON.stringify(errors)}`);
+        error.errors = errors;
+        throw error;
+      }
+
       const dag = this._buildDAG(workflow);
       
       // Assign steps to nodes
       const assignments = this._assignSteps(workflow, dag);
       
       // Execute workflow
-      const result = await this._executeDistributed(workflow, dag, assignments);
+      const result = await this._executeDistributed(workflow, dag, assignments, {
+        span,
+        traceparent: span ? span.traceparent : options.traceparent
+      });
       
       this.stats.workflows_executed++;
+      this._recordRun(workflow, span, 'success', startTime);
       this.emit('workflow:completed', result);
       
       return result;
     } catch (error) {
+      this._recordRun(workflow, span, 'failed', startTime, error);
       this.emit('workflow:failed', { workflowId, error: error.message });
       throw error;
     }
   }
+
+  _recordRun(workflow, span, status, startTime, error) {
+    if (!this.telemetry) return;
+
+    this.telemetry.endSpan(span, error ? 'error' : 'ok', error?.message);
+    this.telemetry.counter('jsonflow_runs_total', { workflow: workflow.workflow, status });
+    this.telemetry.observe('jsonflow_run_duration_ms', { workflow: workflow.workflow }, Date.now() - startTime);
+    if (this.telemetry.exporters.length > 0) {
+      this.telemetry.flush().catch(err => console.error(`[${this.nodeId}] Telemetry export failed:`, err));
+    }
+  }
   
   _buildDAG(workflow) {
     const dag = {
@@ -185,7 +223,7 @@ class DistributedEngine extends EventEmitter {
     return workers[index];
   }
   
-  async _executeDistributed(workflow, dag, assignments) {
+  async _executeDistributed(workflow, dag, assignments, trace = {}) {
     const receipts = [];
     const executionTrace = {
       nodes: new Set(),
@@ -203,21 +241,33 @@ class DistributedEngine extends EventEmitter {
       executionTrace.nodes.add(assignedNode);
       
       const startTime = Date.now();
+      const local = assignedNode === this.nodeId;
+      const stepSpan = this.telemetry?.startSpan(`step ${stepId}`, {
+        parent: trace.span,
+        kind: local ? 'internal' : 'client',
+        attributes: {
+          'jsonflow.step_id': stepId,
+          'jsonflow.step_type': step.type,
+          'jsonflow.node_id': assignedNode
+        }
+      });
+      const traceparent = stepSpan ? stepSpan.traceparent : trace.traceparent;
       
       try {
         let receipt;
         
-        if (assignedNode === this.nodeId) {
+        if (local) {
           // Execute locally
-          receipt = await this._executeStepLocally(step, workflow, receipts);
+          receipt = await this._executeStepLocally(step, workflow, receipts, traceparent);
         } else {
           // Execute remotely
-          receipt = await this._executeStepRemotely(step, assignedNode, receipts);
+          receipt = await this._executeStepRemotely(step, workflow, assignedNode, receipts, traceparent);
         }
         
         receipts.push(receipt);
         
         const latency = Date.now() - startTime;
+        this._recordStep(step, stepSpan, receipt.status, latency);
         executionTrace.timeline.push({
           step_id: stepId,
           node: assignedNode,
@@ -231,6 +281,7 @@ class DistributedEngine extends EventEmitter {
         
       } catch (error) {
         this.stats.failed_steps++;
+        this._recordStep(step, stepSpan, 'error', Date.now() - startTime, error);
         
         // Check if fault tolerance is enabled
         if (workflow.fault_tolerance?.retry_failed_steps) {
@@ -245,7 +296,7 @@ class DistributedEngine extends EventEmitter {
     }
     
     // Compute Merkle root
-    const merkleRoot = this._computeMerkleRoot(receipts);
+    const merkleRoot = await this._computeMerkleRoot(receipts);
     
     return {
       workflow_id: this.generateWorkflowId(workflow),
@@ -263,7 +314,19 @@ class DistributedEngine extends EventEmitter {
     };
   }
   
-  async _executeStepLocally(step, workflow, previousReceipts) {
+  _recordStep(step, span, status, latency, error) {
+    if (!this.telemetry) return;
+
+    const labels = {
+      adapter: this._findAdapter(step.type)?.getManifest().adapter_id || 'remote',
+      type: step.type
+    };
+    this.telemetry.counter('jsonflow_steps_total', { ...labels, status });
+    this.telemetry.observe('jsonflow_step_duration_ms', labels, latency);
+    this.telemetry.endSpan(span, status === 'error' ? 'error' : 'ok', error?.message);
+  }
+
+  async _executeStepLocally(step, workflow, previousReceipts, traceparent = null) {
     // Find appropriate adapter
     const adapter = this._findAdapter(step.type);
     
@@ -277,7 +340,8 @@ class DistributedEngine extends EventEmitter {
     // Execute step
     const context = {
       workflow_id: workflow.workflow,
-      node_id: this.nodeId
+      node_id: this.nodeId,
+      ...(traceparent ? { traceparent } : {})
     };
     
     const receipt = await adapter.execute(resolvedStep, context);
@@ -285,24 +349,55 @@ class DistributedEngine extends EventEmitter {
     return receipt;
   }
   
-  async _executeStepRemotely(step, nodeId, previousReceipts) {
+  async _executeStepRemotely(step, workflow, nodeId, previousReceipts, traceparent = null) {
     console.log(`[${this.nodeId}] Delegating step ${step.id} to ${nodeId}`);
     
-    // In a real implementation, this would send the step to the remote node
-    // and wait for the receipt
+    const message = {
+      type: 'execute_step',
+      workflow_id: workflow.workflow,
+      step,
+      receipts: previousReceipts,
+      ...(traceparent ? { traceparent } : {})
+    };
     
-    // For now, simulate remote execution
+    // In a real implementation, this would send the message to the remote
+    // node and wait for its receipt. For now, simulate the remote node by
+    // handling the message here, as the remote node would.
+    const receipt = await this.handleStepRequest(message);
     return {
-      step_id: step.id,
-      status: 'success',
-      output: { result: 'remote_execution_result' },
-      execution_metadata: {
-        timestamp: new Date().toISOString(),
-        executor_node: nodeId
-      }
+      ...receipt,
+      execution_metadata: { ...receipt.execution_metadata, executor_node: nodeId }
     };
   }
   
+  /**
+   * Execute a step delegated by the coordinator, continuing the
+   * coordinator's trace from the message's traceparent
+   */
+  async handleStepRequest(message) {
+    const { step } = message;
+    const span = this.telemetry?.startSpan(`step ${step.id}`, {
+      traceparent: message.traceparent,
+      kind: 'server',
+      attributes: {
+        'jsonflow.step_id': step.id,
+        'jsonflow.step_type': step.type,
+        'jsonflow.node_id': this.nodeId
+      }
+    });
+    const startTime = Date.now();
+
+    try {
+      const receipt = await this._executeStepLocally(step, { workflow: message.workflow_id }, message.receipts || [],
+        span ? span.traceparent : message.traceparent);
+      this._recordStep(step, span, receipt.status, Date.now() - startTime);
+      return receipt;
+    } catch (error) {
+      this._recordStep(step, span, 'error', Date.now() - startTime, error);
+      throw error;
+    }
+  }
+  
   _findAdapter(stepType) {
     for (const adapter of this.adapters.values()) {
       const manifest = adapter.getManifest();
@@ -381,37 +476,21 @@ class DistributedEngine extends EventEmitter {
     return sorted;
   }
   
-  _computeMerkleRoot(receipts) {
-    if (receipts.length === 0) {
-      return crypto.createHash('sha256').update('empty').digest('hex');
-    }
-    
-    let hashes = receipts.map(r => 
-      crypto.createHash('sha256')
-        .update(JSON.stringify(r))
-        .digest('hex')
-    );
-    
-    while (hashes.length > 1) {
-      const newHashes = [];
-      for (let i = 0; i < hashes.length; i += 2) {
-        if (i + 1 < hashes.length) {
-          const combined = hashes[i] + hashes[i + 1];
-          newHashes.push(
-            crypto.createHash('sha256').update(combined).digest('hex')
-          );
-        } else {
-          newHashes.push(hashes[i]);
-        }
-      }
-      hashes = newHashes;
-    }
-    
-    return hashes[0];
+  /**
+   * Root of an RFC 6962 Merkle tree over the receipts, hashed the way
+   * JSONFlowEngine hashes them
+   */
+  async _computeMerkleRoot(receipts) {
+    const tree = new MerkleTree();
+    await tree.addLeaves(receipts.map(({ merkle_proof, ...leaf }) => leaf));
+    return tree.getRoot();
   }
   
+  /**
+   * Content ID of a workflow: its canonical JSON hash, truncated
+   */
   generateWorkflowId(workflow) {
-    const data = JSON.stringify(workflow);
+    const data = canonicalize(workflow);
     return crypto.createHash('sha256').update(data).digest('hex').slice(0, 16);
   }
   
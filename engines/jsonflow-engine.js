@@ -46,6 +46,16 @@ const CryptoUtils = (() => {
   }
 })();
 
+// ============================================================================
+// CANONICAL JSON
+// ============================================================================
+
+// RFC 8785 serialization lives in its own module so adapters that hash or
+// sign data can share it without loading the engine
+const { canonicalize } = typeof module !== 'undefined' && module.exports
+  ? require('./canonical-json.js')
+  : window.JSONFlow;
+
 // ============================================================================
 // CORE TYPES & SCHEMAS
 // ============================================================================
@@ -60,6 +70,7 @@ const StepSchema = {
     id: { type: 'string' },
     type: { type: 'string' },
     params: { type: 'object' },
+    when: {},
     parent_step_ids: {
       type: 'array',
       items: { type: 'string' }
@@ -73,6 +84,22 @@ const StepSchema = {
         gas_limit: { type: 'number' },
         timeout_ms: { type: 'number' }
       }
+    },
+    retry: {
+      type: 'object',
+      properties: {
+        max_attempts: { type: 'number', minimum: 1 },
+        backoff: {
+          type: 'string',
+          enum: ['fixed', 'exponential', 'jitter']
+        },
+        initial_delay_ms: { type: 'number', minimum: 0 },
+        max_delay_ms: { type: 'number', minimum: 0 },
+        retry_on: {
+          type: 'array',
+          items: { type: 'string' }
+        }
+      }
     }
   }
 };
@@ -85,7 +112,14 @@ const WorkflowSchema = {
   required: ['workflow', 'steps'],
   properties: {
     workflow: { type: 'string' },
+    dsl_version: { type: 'string' },
     version: { type: 'string' },
+    max_concurrency: { type: 'number', minimum: 1 },
+    adapter_concurrency: {
+      type: 'object',
+      additionalProperties: { type: 'number', minimum: 1 }
+    },
+    inputs: { type: 'object' },
     steps: {
       type: 'array',
       items: StepSchema
@@ -103,8 +137,10 @@ const ReceiptSchema = {
     step_id: { type: 'string' },
     status: {
       type: 'string',
-      enum: ['success', 'error', 'degraded']
+      enum: ['success', 'error', 'degraded', 'skipped']
     },
+    skip_reason: { type: 'string' },
+    inputs: { type: 'object' },
     output: { type: 'object' },
     error: {
       type: 'object',
@@ -120,186 +156,717 @@ const ReceiptSchema = {
       properties: {
         timestamp: { type: 'string' },
         latency_ms: { type: 'number' },
-        adapter_version: { type: 'string' }
+        adapter_version: { type: 'string' },
+        attempt: { type: 'number' }
       }
     },
     signature: { type: 'string' }
   }
 };
 
+/**
+ * Params of the step types the engine runs itself
+ */
+const ForeachParamsSchema = {
+  type: 'object',
+  required: ['items'],
+  properties: {
+    items: { type: 'array' },
+    step: { type: 'object', required: ['type'] },
+    steps: {
+      type: 'array',
+      minItems: 1,
+      items: { type: 'object', required: ['id', 'type'] }
+    },
+    collect: { type: 'string' }
+  },
+  anyOf: [{ required: ['step'] }, { required: ['steps'] }]
+};
+
+const WorkflowCallParamsSchema = {
+  type: 'object',
+  properties: {
+    workflow: { type: 'string' },
+    hash: { type: 'string' },
+    inputs: { type: 'object' }
+  },
+  anyOf: [{ required: ['workflow'] }, { required: ['hash'] }]
+};
+
+const ForeachOutputSchema = {
+  type: 'object',
+  properties: {
+    results: { type: 'array' },
+    count: { type: 'integer' },
+    child_step_ids: { type: 'array', items: { type: 'string' } }
+  },
+  additionalProperties: false
+};
+
+const WorkflowCallOutputSchema = {
+  type: 'object',
+  properties: {
+    workflow: { type: 'string' },
+    workflow_hash: { type: 'string' },
+    run_id: { type: 'string' },
+    status: { type: 'string' },
+    merkle_root: { type: 'string' },
+    child_receipts: { type: 'array' },
+    outputs: { type: 'object' }
+  },
+  additionalProperties: false
+};
+
 // ============================================================================
 // VALIDATION ENGINE
 // ============================================================================
 
 class JSONSchemaValidator {
   /**
-   * Simple JSON Schema validator (subset of spec)
+   * JSON Schema (draft 2020-12) validator. Errors carry a JSON pointer to
+   * the offending value, e.g. `/steps/0/params/address`.
+   *
+   * Supported: type, enum, const, the string, number, array and object
+   * constraint keywords, allOf/anyOf/oneOf/not, if/then/else, format,
+   * and `$ref` to `#`-relative pointers such as `#/$defs/name`.
    */
   static validate(data, schema) {
     const errors = [];
-    this._validateNode(data, schema, '', errors);
+    this._validateNode(data, schema, '', errors, schema);
     return {
       valid: errors.length === 0,
       errors
     };
   }
 
-  static _validateNode(data, schema, path, errors) {
+  static _validateNode(data, schema, path, errors, root) {
+    // Boolean schemas accept or reject everything
+    if (schema === true) return;
+    if (schema === false) {
+      errors.push({ path, message: 'No value is allowed here' });
+      return;
+    }
+
+    if (schema.$ref !== undefined) {
+      const target = this._resolveRef(schema.$ref, root);
+      if (!target) {
+        errors.push({ path, message: `Unresolvable $ref: ${schema.$ref}` });
+        return;
+      }
+      this._validateNode(data, target, path, errors, root);
+    }
+
     // Type validation
-    if (schema.type) {
-      const actualType = Array.isArray(data) ? 'array' : typeof data;
-      if (actualType !== schema.type) {
+    if (schema.type !== undefined) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some(type => this._isType(data, type))) {
         errors.push({
           path,
-          message: `Expected type ${schema.type}, got ${actualType}`
+          message: `Expected type ${types.join(' or ')}, got ${this._typeOf(data)}`
         });
         return;
       }
     }
 
-    // Required properties
-    if (schema.required && schema.type === 'object') {
-      for (const req of schema.required) {
-        if (!(req in data)) {
-          errors.push({
-            path: `${path}.${req}`,
-            message: `Missing required property: ${req}`
-          });
-        }
-      }
-    }
-
-    // Enum validation
-    if (schema.enum && !schema.enum.includes(data)) {
+    // Enum and const validation
+    if (schema.enum && !schema.enum.some(option => this._equal(option, data))) {
       errors.push({
         path,
-        message: `Value must be one of: ${schema.enum.join(', ')}`
+        message: `Value must be one of: ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`
       });
     }
+    if (schema.const !== undefined && !this._equal(schema.const, data)) {
+      errors.push({ path, message: `Value must be ${JSON.stringify(schema.const)}` });
+    }
 
-    // Object properties
-    if (schema.properties && typeof data === 'object' && !Array.isArray(data)) {
-      for (const [key, value] of Object.entries(data)) {
-        if (schema.properties[key]) {
-          this._validateNode(value, schema.properties[key], `${path}.${key}`, errors);
-        }
+    if (typeof data === 'string') {
+      this._validateString(data, schema, path, errors);
+    } else if (typeof data === 'number') {
+      this._validateNumber(data, schema, path, errors);
+    } else if (Array.isArray(data)) {
+      this._validateArray(data, schema, path, errors, root);
+    } else if (this._isType(data, 'object')) {
+      this._validateObject(data, schema, path, errors, root);
+    }
+
+    this._validateCombinators(data, schema, path, errors, root);
+  }
+
+  static _validateString(data, schema, path, errors) {
+    const length = [...data].length;
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      errors.push({ path, message: `String is shorter than minLength ${schema.minLength}` });
+    }
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+      errors.push({ path, message: `String is longer than maxLength ${schema.maxLength}` });
+    }
+    if (schema.pattern !== undefined) {
+      const regex = this._regex(schema.pattern);
+      if (!regex) {
+        errors.push({ path, message: 'Invalid pattern' });
+      } else if (!regex.test(data)) {
+        errors.push({ path, message: `String does not match pattern ${schema.pattern}` });
+      }
+    }
+    if (schema.format !== undefined) {
+      const check = this.formats[schema.format];
+      // Unknown formats are annotations only, as the spec allows
+      if (check && !check(data)) {
+        errors.push({ path, message: `String is not a valid ${schema.format}` });
+      }
+    }
+  }
+
+  static _validateNumber(data, schema, path, errors) {
+    if (schema.minimum !== undefined && data < schema.minimum) {
+      errors.push({ path, message: `Value ${data} is less than minimum ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && data > schema.maximum) {
+      errors.push({ path, message: `Value ${data} is greater than maximum ${schema.maximum}` });
+    }
+    if (schema.exclusiveMinimum !== undefined && data <= schema.exclusiveMinimum) {
+      errors.push({ path, message: `Value ${data} must be greater than ${schema.exclusiveMinimum}` });
+    }
+    if (schema.exclusiveMaximum !== undefined && data >= schema.exclusiveMaximum) {
+      errors.push({ path, message: `Value ${data} must be less than ${schema.exclusiveMaximum}` });
+    }
+    if (schema.multipleOf !== undefined) {
+      // Allow for binary rounding: 0.3 / 0.1 is 2.9999999999999996
+      const quotient = data / schema.multipleOf;
+      if (Math.abs(quotient - Math.round(quotient)) > 1e-9 * Math.max(1, Math.abs(quotient))) {
+        errors.push({ path, message: `Value ${data} is not a multiple of ${schema.multipleOf}` });
       }
     }
+  }
 
-    // Array items
-    if (schema.items && Array.isArray(data)) {
+  static _validateArray(data, schema, path, errors, root) {
+    if (schema.minItems !== undefined && data.length < schema.minItems) {
+      errors.push({ path, message: `Array has fewer than ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && data.length > schema.maxItems) {
+      errors.push({ path, message: `Array has more than ${schema.maxItems} items` });
+    }
+    if (schema.uniqueItems) {
+      const seen = new Set();
       data.forEach((item, idx) => {
-        this._validateNode(item, schema.items, `${path}[${idx}]`, errors);
+        const key = canonicalize(item);
+        if (seen.has(key)) {
+          errors.push({ path: `${path}/${idx}`, message: 'Array items must be unique' });
+        }
+        seen.add(key);
       });
     }
 
-    // Number constraints
-    if (typeof data === 'number') {
-      if (schema.minimum !== undefined && data < schema.minimum) {
-        errors.push({ path, message: `Value ${data} is less than minimum ${schema.minimum}` });
+    // Positional items first, then `items` for the rest
+    const prefix = schema.prefixItems || [];
+    data.forEach((item, idx) => {
+      const itemSchema = idx < prefix.length ? prefix[idx] : schema.items;
+      if (itemSchema !== undefined) {
+        this._validateNode(item, itemSchema, `${path}/${idx}`, errors, root);
+      }
+    });
+
+    if (schema.contains !== undefined &&
+        !data.some(item => this._matches(item, schema.contains, root))) {
+      errors.push({ path, message: 'Array does not contain a matching item' });
+    }
+  }
+
+  static _validateObject(data, schema, path, errors, root) {
+    // Properties set to undefined are treated as absent, as in JSON
+    const keys = Object.keys(data).filter(key => data[key] !== undefined);
+
+    for (const req of schema.required || []) {
+      if (data[req] === undefined) {
+        errors.push({
+          path: `${path}/${this._escape(req)}`,
+          message: `Missing required property: ${req}`
+        });
+      }
+    }
+
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+      errors.push({ path, message: `Object has fewer than ${schema.minProperties} properties` });
+    }
+    if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+      errors.push({ path, message: `Object has more than ${schema.maxProperties} properties` });
+    }
+
+    const properties = schema.properties || {};
+    const patterns = [];
+    for (const [pattern, subschema] of Object.entries(schema.patternProperties || {})) {
+      const regex = this._regex(pattern);
+      if (regex) {
+        patterns.push([regex, subschema]);
+      } else {
+        errors.push({ path, message: 'Invalid pattern' });
+      }
+    }
+
+    for (const key of keys) {
+      const childPath = `${path}/${this._escape(key)}`;
+      let matched = false;
+
+      if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        matched = true;
+        this._validateNode(data[key], properties[key], childPath, errors, root);
+      }
+      for (const [regex, subschema] of patterns) {
+        if (regex.test(key)) {
+          matched = true;
+          this._validateNode(data[key], subschema, childPath, errors, root);
+        }
+      }
+
+      if (!matched && schema.additionalProperties !== undefined) {
+        if (schema.additionalProperties === false) {
+          errors.push({ path: childPath, message: `Unexpected property: ${key}` });
+        } else {
+          this._validateNode(data[key], schema.additionalProperties, childPath, errors, root);
+        }
+      }
+
+      if (schema.propertyNames !== undefined &&
+          !this._matches(key, schema.propertyNames, root)) {
+        errors.push({ path: childPath, message: `Invalid property name: ${key}` });
+      }
+    }
+  }
+
+  static _validateCombinators(data, schema, path, errors, root) {
+    if (Array.isArray(schema.allOf)) {
+      for (const subschema of schema.allOf) {
+        this._validateNode(data, subschema, path, errors, root);
+      }
+    }
+
+    if (Array.isArray(schema.anyOf) &&
+        !schema.anyOf.some(subschema => this._matches(data, subschema, root))) {
+      errors.push({ path, message: 'Value does not match any schema in anyOf' });
+    }
+
+    if (Array.isArray(schema.oneOf)) {
+      const count = schema.oneOf.filter(subschema => this._matches(data, subschema, root)).length;
+      if (count !== 1) {
+        errors.push({
+          path,
+          message: `Value must match exactly one schema in oneOf, matched ${count}`
+        });
+      }
+    }
+
+    if (schema.not !== undefined && this._matches(data, schema.not, root)) {
+      errors.push({ path, message: 'Value must not match the schema in not' });
+    }
+
+    if (schema.if !== undefined) {
+      const branch = this._matches(data, schema.if, root) ? schema.then : schema.else;
+      if (branch !== undefined) {
+        this._validateNode(data, branch, path, errors, root);
       }
-      if (schema.maximum !== undefined && data > schema.maximum) {
-        errors.push({ path, message: `Value ${data} is greater than maximum ${schema.maximum}` });
+    }
+  }
+
+  static _matches(data, schema, root) {
+    const errors = [];
+    this._validateNode(data, schema, '', errors, root);
+    return errors.length === 0;
+  }
+
+  /**
+   * Resolve a document-local `$ref` (`#` or `#/json/pointer`)
+   */
+  static _resolveRef(ref, root) {
+    if (typeof ref !== 'string' || !ref.startsWith('#')) {
+      return null;
+    }
+
+    const pointer = decodeURIComponent(ref.substring(1));
+    if (pointer === '') return root;
+    if (!pointer.startsWith('/')) return null;
+
+    let target = root;
+    for (const token of pointer.substring(1).split('/')) {
+      const key = token.replace(/~1/g, '/').replace(/~0/g, '~');
+      if (target === null || typeof target !== 'object' || !(key in target)) {
+        return null;
       }
+      target = target[key];
+    }
+    return target;
+  }
+
+  static _isType(data, type) {
+    switch (type) {
+      case 'null': return data === null;
+      case 'array': return Array.isArray(data);
+      case 'object': return data !== null && typeof data === 'object' && !Array.isArray(data);
+      case 'integer': return Number.isInteger(data);
+      case 'number': return typeof data === 'number' && !Number.isNaN(data);
+      default: return typeof data === type;
+    }
+  }
+
+  static _typeOf(data) {
+    if (data === null) return 'null';
+    if (Array.isArray(data)) return 'array';
+    return typeof data;
+  }
+
+  static _equal(a, b) {
+    if (a === b) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+      return false;
+    }
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    return keysA.length === keysB.length &&
+      keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && this._equal(a[key], b[key]));
+  }
+
+  /**
+   * Compile a schema pattern; null if it is not a valid `u`-mode regex
+   */
+  static _regex(pattern) {
+    try {
+      return new RegExp(pattern, 'u');
+    } catch (error) {
+      return null;
     }
   }
+
+  /**
+   * Escape a property name for use as a JSON pointer token
+   */
+  static _escape(key) {
+    return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+  }
 }
 
+/**
+ * Format checks for the `format` keyword. Add entries to support custom
+ * formats; unknown formats are not checked.
+ */
+JSONSchemaValidator.formats = {
+  'date-time': value => /^\d{4}-\d{2}-\d{2}[Tt]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})$/.test(value) &&
+    !isNaN(Date.parse(value)),
+  date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value)),
+  time: value => /^\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})?$/.test(value),
+  email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  hostname: value => /^(?=.{1,253}$)([a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)(\.[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/.test(value),
+  ipv4: value => /^((25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/.test(value),
+  ipv6: value => /^[0-9a-fA-F:.]+$/.test(value) && value.includes(':') &&
+    (value.match(/::/g) || []).length <= 1,
+  uri: value => /^[a-zA-Z][a-zA-Z0-9+.-]*:[^\s]*$/.test(value),
+  uuid: value => /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/.test(value),
+  regex: value => {
+    try {
+      new RegExp(value, 'u');
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+};
+
 // ============================================================================
 // MERKLE TREE IMPLEMENTATION
 // ============================================================================
 
+/**
+ * MerkleTree - Append-only Merkle accumulator in the RFC 6962 (Certificate
+ * Transparency) layout.
+ *
+ * Leaves hash as SHA-256(0x00 || canonical JSON) and interior nodes as
+ * SHA-256(0x01 || left || right), so a leaf can never pass for a node. The
+ * hashes of complete subtrees are kept level by level: an append hashes
+ * O(log n) nodes, and inclusion and consistency proofs against the current
+ * or any earlier tree size are read from them. Proofs address leaves by
+ * index, so identical receipts get distinct proofs.
+ */
 class MerkleTree {
   constructor() {
-    this.leaves = [];
-    this.tree = [];
+    this.levels = [[]];
+    this.root = MerkleTree.EMPTY_ROOT;
+    this.appending = Promise.resolve();
+  }
+
+  /**
+   * Number of leaves
+   */
+  get size() {
+    return this.levels[0].length;
+  }
+
+  static async hashLeaf(data) {
+    const bytes = new TextEncoder().encode(canonicalize(data));
+    const input = new Uint8Array(bytes.length + 1);
+    input[0] = 0x00;
+    input.set(bytes, 1);
+    return CryptoUtils.createHash('sha256', input);
+  }
+
+  static async hashNode(left, right) {
+    const input = new Uint8Array(65);
+    input[0] = 0x01;
+    input.set(MerkleTree._bytes(left), 1);
+    input.set(MerkleTree._bytes(right), 33);
+    return CryptoUtils.createHash('sha256', input);
+  }
+
+  static _bytes(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+      bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return bytes;
+  }
+
+  // Largest power of two strictly less than n (n > 1)
+  static _split(n) {
+    let k = 1;
+    while (k * 2 < n) k *= 2;
+    return k;
   }
 
   /**
    * Add a leaf node (step receipt)
    */
-  async addLeaf(data) {
-    const hash = await CryptoUtils.createHash('sha256', JSON.stringify(data));
-    this.leaves.push({ data, hash });
-    await this.rebuild();
-    return hash;
+  addLeaf(data) {
+    return this._serialize(async () => {
+      const hash = await MerkleTree.hashLeaf(data);
+      await this._append(hash);
+      this.root = await this._range(0, this.size);
+      return hash;
+    });
   }
 
   /**
-   * Rebuild the Merkle tree from leaves
+   * Add several leaves at once, computing the root a single time
    */
-  async rebuild() {
-    if (this.leaves.length === 0) {
-      this.tree = [];
-      return;
+  addLeaves(dataList) {
+    return this._serialize(async () => {
+      const hashes = [];
+      for (const data of dataList) {
+        const hash = await MerkleTree.hashLeaf(data);
+        await this._append(hash);
+        hashes.push(hash);
+      }
+      this.root = await this._range(0, this.size);
+      return hashes;
+    });
+  }
+
+  // Appends await hashing, so concurrent ones run one after another
+  _serialize(task) {
+    const result = this.appending.then(task);
+    this.appending = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Append a leaf hash and every subtree it completes. The levels are only
+   * updated once every hash is known, so readers never see a leaf without
+   * its parents.
+   */
+  async _append(hash) {
+    const appended = [hash];
+    let level = 0;
+    let index = this.levels[0].length;
+    while (index % 2 === 1) {
+      const parent = await MerkleTree.hashNode(this.levels[level][index - 1], appended[level]);
+      appended.push(parent);
+      level++;
+      index = (this.levels[level] || []).length;
     }
 
-    let currentLevel = this.leaves.map(l => l.hash);
-    this.tree = [currentLevel];
+    appended.forEach((node, l) => {
+      if (!this.levels[l]) this.levels[l] = [];
+      this.levels[l].push(node);
+    });
+  }
 
-    while (currentLevel.length > 1) {
-      const nextLevel = [];
-      for (let i = 0; i < currentLevel.length; i += 2) {
-        const left = currentLevel[i];
-        const right = i + 1 < currentLevel.length ? currentLevel[i + 1] : left;
-        const combined = await CryptoUtils.createHash('sha256', left + right);
-        nextLevel.push(combined);
-      }
-      this.tree.push(nextLevel);
-      currentLevel = nextLevel;
+  /**
+   * Merkle tree hash of leaves [start, end). Every range the RFC 6962
+   * recursion visits splits into complete subtrees that are already stored.
+   */
+  async _range(start, end) {
+    const n = end - start;
+    if (n === 0) return MerkleTree.EMPTY_ROOT;
+
+    if ((n & (n - 1)) === 0 && start % n === 0) {
+      return this.levels[Math.log2(n)][start / n];
     }
+
+    const k = MerkleTree._split(n);
+    return MerkleTree.hashNode(await this._range(start, start + k), await this._range(start + k, end));
   }
 
   /**
-   * Get the Merkle root
+   * Get the Merkle root (SHA-256 of the empty string for an empty tree)
    */
   getRoot() {
-    if (this.tree.length === 0) return null;
-    return this.tree[this.tree.length - 1][0];
+    return this.root;
   }
 
   /**
-   * Generate a Merkle proof for a leaf index
+   * Root of the tree as it was when it had `treeSize` leaves
    */
-  getProof(leafIndex) {
-    const proof = [];
-    let index = leafIndex;
+  async getRootAt(treeSize) {
+    this._checkSize(treeSize);
+    return this._range(0, treeSize);
+  }
 
-    for (let level = 0; level < this.tree.length - 1; level++) {
-      const currentLevel = this.tree[level];
-      const isRightNode = index % 2 === 1;
-      const siblingIndex = isRightNode ? index - 1 : index + 1;
+  _checkSize(treeSize) {
+    if (!Number.isInteger(treeSize) || treeSize < 0 || treeSize > this.size) {
+      throw new Error(`Tree size ${treeSize} out of range 0..${this.size}`);
+    }
+  }
 
-      if (siblingIndex < currentLevel.length) {
-        proof.push({
-          hash: currentLevel[siblingIndex],
-          position: isRightNode ? 'left' : 'right'
-        });
-      }
+  /**
+   * Inclusion proof for the leaf at `leafIndex` in the tree of `treeSize`
+   * leaves (the current tree by default)
+   */
+  async getProof(leafIndex, treeSize = this.size) {
+    this._checkSize(treeSize);
+    if (!Number.isInteger(leafIndex) || leafIndex < 0 || leafIndex >= treeSize) {
+      throw new Error(`Leaf index ${leafIndex} out of range for tree size ${treeSize}`);
+    }
+
+    return {
+      leaf_index: leafIndex,
+      tree_size: treeSize,
+      leaf_hash: this.levels[0][leafIndex],
+      path: await this._path(leafIndex, 0, treeSize)
+    };
+  }
+
+  // RFC 6962 PATH(m, D[start:end])
+  async _path(m, start, end) {
+    const n = end - start;
+    if (n <= 1) return [];
+
+    const k = MerkleTree._split(n);
+    if (m < k) {
+      return [...await this._path(m, start, start + k), await this._range(start + k, end)];
+    }
+    return [...await this._path(m - k, start + k, end), await this._range(start, start + k)];
+  }
+
+  /**
+   * Consistency proof that the tree of `secondSize` leaves (the current
+   * tree by default) extends the tree of `firstSize` leaves
+   */
+  async getConsistencyProof(firstSize, secondSize = this.size) {
+    this._checkSize(secondSize);
+    if (!Number.isInteger(firstSize) || firstSize < 0 || firstSize > secondSize) {
+      throw new Error(`First tree size ${firstSize} out of range 0..${secondSize}`);
+    }
+
+    return {
+      first_size: firstSize,
+      second_size: secondSize,
+      path: firstSize === 0 || firstSize === secondSize
+        ? []
+        : await this._subproof(firstSize, 0, secondSize, true)
+    };
+  }
+
+  // RFC 6962 SUBPROOF(m, D[start:end], complete)
+  async _subproof(m, start, end, complete) {
+    const n = end - start;
+    if (m === n) {
+      return complete ? [] : [await this._range(start, end)];
+    }
+
+    const k = MerkleTree._split(n);
+    if (m <= k) {
+      return [...await this._subproof(m, start, start + k, complete), await this._range(start + k, end)];
+    }
+    return [...await this._subproof(m - k, start + k, end, false), await this._range(start, start + k)];
+  }
+
+  /**
+   * Verify an inclusion proof from getProof against a root
+   */
+  static async verifyProof(proof, root) {
+    const { leaf_index: index, tree_size: size, leaf_hash: leafHash, path } = proof || {};
+    if (!Number.isInteger(index) || !Number.isInteger(size) || index < 0 || index >= size ||
+        typeof leafHash !== 'string' || !Array.isArray(path)) {
+      return false;
+    }
 
-      index = Math.floor(index / 2);
+    let fn = index;
+    let sn = size - 1;
+    let hash = leafHash;
+    for (const sibling of path) {
+      if (sn === 0) return false;
+      if (fn % 2 === 1 || fn === sn) {
+        hash = await MerkleTree.hashNode(sibling, hash);
+        while (fn % 2 === 0 && fn !== 0) {
+          fn = Math.floor(fn / 2);
+          sn = Math.floor(sn / 2);
+        }
+      } else {
+        hash = await MerkleTree.hashNode(hash, sibling);
+      }
+      fn = Math.floor(fn / 2);
+      sn = Math.floor(sn / 2);
     }
 
-    return proof;
+    return sn === 0 && hash === root;
   }
 
   /**
-   * Verify a Merkle proof
+   * Verify a consistency proof from getConsistencyProof: the tree with
+   * `secondRoot` contains the tree with `firstRoot` as a prefix
    */
-  async verifyProof(leafHash, proof, root) {
-    let computedHash = leafHash;
+  static async verifyConsistency(proof, firstRoot, secondRoot) {
+    const { first_size: first, second_size: second, path } = proof || {};
+    if (!Number.isInteger(first) || !Number.isInteger(second) || first < 0 || first > second ||
+        !Array.isArray(path)) {
+      return false;
+    }
+    if (first === 0) return path.length === 0;
+    if (first === second) return path.length === 0 && firstRoot === secondRoot;
+    if (path.length === 0) return false;
+
+    // A complete first tree is its own starting node
+    const nodes = (first & (first - 1)) === 0 ? [firstRoot, ...path] : path;
+    let fn = first - 1;
+    let sn = second - 1;
+    while (fn % 2 === 1) {
+      fn = Math.floor(fn / 2);
+      sn = Math.floor(sn / 2);
+    }
 
-    for (const step of proof) {
-      const combined = step.position === 'left'
-        ? step.hash + computedHash
-        : computedHash + step.hash;
-      computedHash = await CryptoUtils.createHash('sha256', combined);
+    let fr = nodes[0];
+    let sr = nodes[0];
+    for (const node of nodes.slice(1)) {
+      if (sn === 0) return false;
+      if (fn % 2 === 1 || fn === sn) {
+        fr = await MerkleTree.hashNode(node, fr);
+        sr = await MerkleTree.hashNode(node, sr);
+        while (fn % 2 === 0 && fn !== 0) {
+          fn = Math.floor(fn / 2);
+          sn = Math.floor(sn / 2);
+        }
+      } else {
+        sr = await MerkleTree.hashNode(sr, node);
+      }
+      fn = Math.floor(fn / 2);
+      sn = Math.floor(sn / 2);
     }
 
-    return computedHash === root;
+    return fr === firstRoot && sr === secondRoot && sn === 0;
   }
 }
 
+// SHA-256 of the empty string
+MerkleTree.EMPTY_ROOT = 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855';
+
 // ============================================================================
 // DAG (DIRECTED ACYCLIC GRAPH) UTILITIES
 // ============================================================================
@@ -328,6 +895,22 @@ class DAG {
     }
   }
 
+  /**
+   * Get every step the given step transitively depends on
+   */
+  getAncestors(stepId) {
+    const ancestors = new Set();
+    const stack = [...(this.steps.get(stepId)?.parent_step_ids || [])];
+
+    while (stack.length > 0) {
+      const id = stack.pop();
+      if (ancestors.has(id)) continue;
+      ancestors.add(id);
+      stack.push(...(this.steps.get(id)?.parent_step_ids || []));
+    }
+    return ancestors;
+  }
+
   /**
    * Check for cycles using DFS
    */
@@ -394,6 +977,25 @@ class DAG {
     return result;
   }
 
+  /**
+   * Group steps into waves: each wave holds the steps whose parents are all
+   * in earlier waves, so the steps of a wave can run in parallel
+   */
+  getWaves() {
+    const waves = [];
+    const depth = new Map();
+
+    for (const stepId of this.topologicalSort()) {
+      const parents = this.steps.get(stepId).parent_step_ids || [];
+      const level = parents.length === 0 ? 0 : Math.max(...parents.map(p => depth.get(p))) + 1;
+      depth.set(stepId, level);
+      if (!waves[level]) waves[level] = [];
+      waves[level].push(stepId);
+    }
+
+    return waves;
+  }
+
   /**
    * Get steps that can be executed in parallel at the current state
    */
@@ -429,7 +1031,8 @@ class Adapter {
   }
 
   /**
-   * Execute a step and return a receipt
+   * Execute a step and return a receipt. `context.signal` aborts when the
+   * step times out or its run is cancelled; long-running work should stop.
    */
   async execute(step, context) {
     throw new Error('Adapter must implement execute()');
@@ -448,6 +1051,14 @@ class Adapter {
   async healthCheck() {
     throw new Error('Adapter must implement healthCheck()');
   }
+
+  /**
+   * Optional: estimate the cost of a step (gas, tokens, time...) for
+   * `JSONFlowEngine.plan`, or null if unknown. Must not have side effects.
+   */
+  async estimate(step, context) {
+    return null;
+  }
 }
 
 // ============================================================================
@@ -469,7 +1080,13 @@ class MockAdapter extends Adapter {
             input: 'string',
             delay_ms: 'number'
           },
-          deterministic: true
+          output_schema: {
+            type: 'object',
+            properties: { result: { type: 'string' }, timestamp: { type: 'string' } },
+            additionalProperties: false
+          },
+          deterministic: true,
+          nondeterministic_fields: ['timestamp']
         }
       ]
     };
@@ -519,25 +1136,203 @@ class MockAdapter extends Adapter {
 
 /**
  * Transform Adapter - Data transformation operations
+ *
+ * Keys (`key`, `by`, `on`, `keys`) may be dotted paths into each item.
+ * Ordering and equality never depend on the locale or on object key order,
+ * so results are identical in browsers and Node.js.
  */
 class TransformAdapter extends Adapter {
   getManifest() {
+    const list = this._listOutputSchema();
+    const records = this._recordsOutputSchema();
+    const array = { type: 'array' };
+    const aggregate = {
+      type: 'string',
+      enum: ['sum', 'count', 'avg', 'min', 'max', 'median', 'percentile', 'stddev']
+    };
+    const percentile = { type: 'number', minimum: 0, maximum: 100 };
+    const keys = { anyOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }] };
+    const order = { enum: ['asc', 'desc'] };
+
     return {
       adapter_id: 'transform',
       version: '1.0.0',
       step_types: [
-        { type: 'transform_map', deterministic: true },
-        { type: 'transform_filter', deterministic: true },
-        { type: 'transform_reduce', deterministic: true }
-      ]
-    };
-  }
-
-  validate(step) {
-    if (!['transform_map', 'transform_filter', 'transform_reduce'].includes(step.type)) {
-      return { valid: false, error: 'Unknown step type' };
-    }
-    return { valid: true };
+        { type: 'transform_map', output_schema: list, deterministic: true },
+        { type: 'transform_filter', output_schema: list, deterministic: true },
+        {
+          type: 'transform_reduce',
+          params: {
+            type: 'object',
+            properties: { input: array, operation: aggregate, key: { type: 'string' }, percentile }
+          },
+          output_schema: {
+            type: 'object',
+            properties: { result: {}, operation: { type: 'string' }, key: {} },
+            additionalProperties: false
+          },
+          deterministic: true
+        },
+        {
+          type: 'transform_sort',
+          params: {
+            type: 'object',
+            required: ['input'],
+            properties: {
+              input: array,
+              by: {
+                anyOf: [
+                  { type: 'string' },
+                  {
+                    type: 'array',
+                    items: {
+                      anyOf: [
+                        { type: 'string' },
+                        { type: 'object', required: ['key'], properties: { key: { type: 'string' }, order } }
+                      ]
+                    }
+                  }
+                ]
+              },
+              order
+            }
+          },
+          output_schema: list,
+          deterministic: true
+        },
+        {
+          type: 'transform_group_by',
+          params: {
+            type: 'object',
+            required: ['input', 'key'],
+            properties: {
+              input: array,
+              key: { type: 'string' },
+              aggregate: {
+                type: 'object',
+                required: ['operation'],
+                properties: { operation: aggregate, key: { type: 'string' }, percentile }
+              }
+            }
+          },
+          output_schema: {
+            type: 'object',
+            properties: {
+              result: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: { key: {}, items: { type: 'array' }, count: { type: 'integer' }, value: {} },
+                  additionalProperties: false
+                }
+              },
+              count: { type: 'integer' }
+            },
+            additionalProperties: false
+          },
+          deterministic: true
+        },
+        {
+          type: 'transform_join',
+          params: {
+            type: 'object',
+            required: ['left', 'right'],
+            anyOf: [{ required: ['on'] }, { required: ['left_key', 'right_key'] }],
+            properties: {
+              left: array,
+              right: array,
+              on: { type: 'string' },
+              left_key: { type: 'string' },
+              right_key: { type: 'string' },
+              join: { enum: ['inner', 'left'] }
+            }
+          },
+          output_schema: list,
+          deterministic: true
+        },
+        {
+          type: 'transform_flatten',
+          params: {
+            type: 'object',
+            required: ['input'],
+            properties: { input: array, depth: { type: 'integer', minimum: 1 } }
+          },
+          output_schema: list,
+          deterministic: true
+        },
+        {
+          type: 'transform_pick',
+          params: {
+            type: 'object',
+            required: ['input', 'keys'],
+            properties: { input: { type: ['array', 'object'] }, keys }
+          },
+          output_schema: records,
+          deterministic: true
+        },
+        {
+          type: 'transform_omit',
+          params: {
+            type: 'object',
+            required: ['input', 'keys'],
+            properties: { input: { type: ['array', 'object'] }, keys }
+          },
+          output_schema: records,
+          deterministic: true
+        },
+        {
+          type: 'transform_distinct',
+          params: {
+            type: 'object',
+            required: ['input'],
+            properties: { input: array, key: { type: 'string' } }
+          },
+          output_schema: list,
+          deterministic: true
+        },
+        {
+          type: 'transform_window',
+          params: {
+            type: 'object',
+            required: ['input', 'size'],
+            properties: {
+              input: array,
+              size: { type: 'integer', minimum: 1 },
+              operation: aggregate,
+              key: { type: 'string' },
+              percentile,
+              as: { type: 'string' }
+            }
+          },
+          output_schema: list,
+          deterministic: true
+        }
+      ]
+    };
+  }
+
+  _listOutputSchema() {
+    return {
+      type: 'object',
+      properties: { result: { type: 'array' }, count: { type: 'integer' } },
+      additionalProperties: false
+    };
+  }
+
+  _recordsOutputSchema() {
+    return {
+      type: 'object',
+      properties: { result: { type: ['array', 'object'] }, count: { type: 'integer' } },
+      additionalProperties: false
+    };
+  }
+
+  validate(step) {
+    if (!this.getManifest().step_types.some(t => t.type === step.type)) {
+      return { valid: false, error: 'Unknown step type' };
+    }
+
+    return { valid: true };
   }
 
   async execute(step, context) {
@@ -555,6 +1350,28 @@ class TransformAdapter extends Adapter {
         case 'transform_reduce':
           output = this._executeReduce(step, context);
           break;
+        case 'transform_sort':
+          output = this._executeSort(step, context);
+          break;
+        case 'transform_group_by':
+          output = this._executeGroupBy(step, context);
+          break;
+        case 'transform_join':
+          output = this._executeJoin(step, context);
+          break;
+        case 'transform_flatten':
+          output = this._executeFlatten(step, context);
+          break;
+        case 'transform_pick':
+        case 'transform_omit':
+          output = this._executeProject(step, context);
+          break;
+        case 'transform_distinct':
+          output = this._executeDistinct(step, context);
+          break;
+        case 'transform_window':
+          output = this._executeWindow(step, context);
+          break;
         default:
           throw new Error(`Unknown transform type: ${step.type}`);
       }
@@ -625,27 +1442,287 @@ class TransformAdapter extends Adapter {
       throw new Error('Input must be an array for reduce operation');
     }
 
-    // Simple aggregation operations
     const operation = step.params.operation || 'sum';
     const key = step.params.key;
+    const result = this._aggregate(input, operation, key, step.params.percentile);
 
-    let result;
+    return { result, operation, key };
+  }
+
+  /**
+   * Sort by one or more keys: `by: 'score'` or
+   * `by: ['team', { key: 'score', order: 'desc' }]`. Without `by`, sorts the
+   * items themselves. The sort is stable.
+   */
+  _executeSort(step, context) {
+    const input = this._requireArray(step.params.input, context, 'sort');
+    const order = step.params.order || 'asc';
+    const by = step.params.by === undefined ? [null] : [].concat(step.params.by);
+    const keys = by.map(entry => (entry && typeof entry === 'object')
+      ? { key: entry.key, sign: (entry.order || order) === 'desc' ? -1 : 1 }
+      : { key: entry, sign: order === 'desc' ? -1 : 1 });
+
+    const result = [...input].sort((a, b) => {
+      for (const { key, sign } of keys) {
+        const cmp = this._compare(this._get(a, key), this._get(b, key));
+        if (cmp !== 0) return cmp * sign;
+      }
+      return 0;
+    });
+
+    return { result, count: result.length };
+  }
+
+  /**
+   * Group items by key, in order of first appearance. With `aggregate`,
+   * each group also gets the aggregate `value` of its items.
+   */
+  _executeGroupBy(step, context) {
+    const input = this._requireArray(step.params.input, context, 'group_by');
+    const groups = new Map();
+
+    for (const item of input) {
+      const key = this._get(item, step.params.key);
+      const id = this._identity(key);
+      if (!groups.has(id)) groups.set(id, { key: key === undefined ? null : key, items: [] });
+      groups.get(id).items.push(item);
+    }
+
+    const aggregate = step.params.aggregate;
+    const result = Array.from(groups.values()).map(group => ({
+      ...group,
+      count: group.items.length,
+      ...(aggregate
+        ? { value: this._aggregate(group.items, aggregate.operation, aggregate.key, aggregate.percentile) }
+        : {})
+    }));
+
+    return { result, count: result.length };
+  }
+
+  /**
+   * Join two arrays of records on a key. Matched pairs are merged with the
+   * right-hand fields winning, in left order and then right order. A `left`
+   * join keeps unmatched left records as they are.
+   */
+  _executeJoin(step, context) {
+    const left = this._requireArray(step.params.left, context, 'join');
+    const right = this._requireArray(step.params.right, context, 'join');
+    const leftKey = step.params.left_key || step.params.on;
+    const rightKey = step.params.right_key || step.params.on;
+    const mode = step.params.join || 'inner';
+
+    const index = new Map();
+    for (const record of right) {
+      const id = this._identity(this._get(record, rightKey));
+      if (!index.has(id)) index.set(id, []);
+      index.get(id).push(record);
+    }
+
+    const result = [];
+    for (const record of left) {
+      const key = this._get(record, leftKey);
+      const matches = key === undefined || key === null ? [] : (index.get(this._identity(key)) || []);
+      if (matches.length === 0 && mode === 'left') {
+        result.push(record);
+      }
+      for (const match of matches) {
+        result.push({ ...record, ...match });
+      }
+    }
+
+    return { result, count: result.length };
+  }
+
+  _executeFlatten(step, context) {
+    const input = this._requireArray(step.params.input, context, 'flatten');
+    const result = input.flat(step.params.depth || 1);
+    return { result, count: result.length };
+  }
+
+  /**
+   * Keep (`transform_pick`) or drop (`transform_omit`) top-level fields of a
+   * record or of every record in an array
+   */
+  _executeProject(step, context) {
+    const input = this._resolveInput(step.params.input, context);
+    const keys = [].concat(step.params.keys);
+    const pick = step.type === 'transform_pick';
+
+    const project = (record) => {
+      if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        throw new Error(`Cannot ${pick ? 'pick' : 'omit'} fields of ${Array.isArray(record) ? 'array' : typeof record}`);
+      }
+      if (pick) {
+        return Object.fromEntries(keys
+          .filter(key => Object.prototype.hasOwnProperty.call(record, key))
+          .map(key => [key, record[key]]));
+      }
+      return Object.fromEntries(Object.entries(record).filter(([key]) => !keys.includes(key)));
+    };
+
+    if (Array.isArray(input)) {
+      const result = input.map(project);
+      return { result, count: result.length };
+    }
+    return { result: project(input) };
+  }
+
+  /**
+   * Drop repeated items, keeping the first; with `key`, items are compared
+   * by that key only
+   */
+  _executeDistinct(step, context) {
+    const input = this._requireArray(step.params.input, context, 'distinct');
+    const seen = new Set();
+
+    const result = input.filter(item => {
+      const id = this._identity(step.params.key ? this._get(item, step.params.key) : item);
+      if (seen.has(id)) return false;
+      seen.add(id);
+      return true;
+    });
+
+    return { result, count: result.length };
+  }
+
+  /**
+   * Trailing window aggregate: each item gets the aggregate of itself and
+   * the `size - 1` items before it, stored under `as` (default `window`)
+   */
+  _executeWindow(step, context) {
+    const input = this._requireArray(step.params.input, context, 'window');
+    const { size, key, percentile } = step.params;
+    const operation = step.params.operation || 'avg';
+    const as = step.params.as || 'window';
+
+    const result = input.map((item, idx) => {
+      const value = this._aggregate(input.slice(Math.max(0, idx - size + 1), idx + 1), operation, key, percentile);
+      return item && typeof item === 'object' && !Array.isArray(item)
+        ? { ...item, [as]: value }
+        : { value: item, [as]: value };
+    });
+
+    return { result, count: result.length };
+  }
+
+  /**
+   * Aggregate the `key` values of a list of items (the items themselves
+   * without a key). `sum` and `avg` count missing values as 0; the other
+   * numeric operations ignore them and return null when nothing is left.
+   * `stddev` is the population standard deviation, `percentile` uses
+   * linear interpolation between closest ranks.
+   */
+  _aggregate(items, operation, key, percentile) {
     switch (operation) {
       case 'sum':
-        result = input.reduce((acc, item) => acc + (item[key] || 0), 0);
-        break;
+        return items.reduce((acc, item) => acc + (this._get(item, key) || 0), 0);
       case 'count':
-        result = input.length;
-        break;
-      case 'avg':
-        const sum = input.reduce((acc, item) => acc + (item[key] || 0), 0);
-        result = input.length > 0 ? sum / input.length : 0;
-        break;
-      default:
-        throw new Error(`Unknown operation: ${operation}`);
+        return items.length;
+      case 'avg': {
+        const sum = items.reduce((acc, item) => acc + (this._get(item, key) || 0), 0);
+        return items.length > 0 ? sum / items.length : 0;
+      }
     }
 
-    return { result, operation, key };
+    if (!['min', 'max', 'median', 'percentile', 'stddev'].includes(operation)) {
+      throw new Error(`Unknown operation: ${operation}`);
+    }
+
+    const values = items
+      .map(item => this._get(item, key))
+      .filter(value => value !== undefined && value !== null);
+    for (const value of values) {
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new Error(`${operation} expects numbers, got ${JSON.stringify(value)}`);
+      }
+    }
+    if (values.length === 0) {
+      return null;
+    }
+
+    const sorted = [...values].sort((a, b) => a - b);
+    switch (operation) {
+      case 'min':
+        return sorted[0];
+      case 'max':
+        return sorted[sorted.length - 1];
+      case 'median':
+        return this._percentile(sorted, 50);
+      case 'percentile':
+        if (typeof percentile !== 'number' || percentile < 0 || percentile > 100) {
+          throw new Error('percentile requires a percentile param between 0 and 100');
+        }
+        return this._percentile(sorted, percentile);
+      case 'stddev': {
+        const mean = values.reduce((acc, v) => acc + v, 0) / values.length;
+        const variance = values.reduce((acc, v) => acc + (v - mean) * (v - mean), 0) / values.length;
+        return Math.sqrt(variance);
+      }
+    }
+  }
+
+  _percentile(sorted, p) {
+    const rank = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+  }
+
+  /**
+   * Total order over JSON values: null < booleans < numbers < strings <
+   * arrays and objects. Strings compare by UTF-16 code units, not locale.
+   */
+  _compare(a, b) {
+    const rank = (v) => {
+      if (v === null || v === undefined) return 0;
+      if (typeof v === 'boolean') return 1;
+      if (typeof v === 'number') return 2;
+      if (typeof v === 'string') return 3;
+      return 4;
+    };
+
+    const ra = rank(a);
+    const rb = rank(b);
+    if (ra !== rb) return ra - rb;
+    if (ra === 1 || ra === 2) return Number(a) - Number(b);
+    if (ra === 3 || ra === 4) {
+      const sa = ra === 3 ? a : this._identity(a);
+      const sb = rb === 3 ? b : this._identity(b);
+      return sa < sb ? -1 : sa > sb ? 1 : 0;
+    }
+    return 0;
+  }
+
+  /**
+   * Stable string identity for grouping and de-duplication, independent of
+   * object key order
+   */
+  _identity(value) {
+    return canonicalize(value) ?? 'null';
+  }
+
+  /**
+   * Read a dotted path from an item; no path returns the item itself
+   */
+  _get(item, path) {
+    if (path === undefined || path === null || path === '') return item;
+    let value = item;
+    for (const key of String(path).split('.')) {
+      if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, key)) {
+        return undefined;
+      }
+      value = value[key];
+    }
+    return value;
+  }
+
+  _requireArray(value, context, operation) {
+    const input = this._resolveInput(value, context);
+    if (!Array.isArray(input)) {
+      throw new Error(`Input must be an array for ${operation} operation`);
+    }
+    return input;
   }
 
   _resolveInput(input, context) {
@@ -677,6 +1754,137 @@ class TransformAdapter extends Adapter {
   }
 }
 
+/**
+ * Control Adapter - Branching steps that decide which children run
+ *
+ * `switch` matches `params.value` against the keys of `params.cases` (falling
+ * back to `params.default`); `branch` evaluates `params.condition` and takes
+ * `params.then` or `params.else`. Each case lists child step IDs; children
+ * on the branches not taken are skipped.
+ */
+class ControlAdapter extends Adapter {
+  getManifest() {
+    return {
+      adapter_id: 'control',
+      version: '1.0.0',
+      step_types: [
+        {
+          type: 'switch',
+          params_schema: {
+            value: 'any',
+            cases: 'object',
+            default: 'array'
+          },
+          output_schema: {
+            type: 'object',
+            properties: { value: {}, matched_case: {}, taken: { type: 'array' }, not_taken: { type: 'array' } },
+            additionalProperties: false
+          },
+          deterministic: true
+        },
+        {
+          type: 'branch',
+          params_schema: {
+            condition: 'any',
+            then: 'array',
+            else: 'array'
+          },
+          output_schema: {
+            type: 'object',
+            properties: { condition: { type: 'boolean' }, taken: { type: 'array' }, not_taken: { type: 'array' } },
+            additionalProperties: false
+          },
+          deterministic: true
+        }
+      ]
+    };
+  }
+
+  validate(step) {
+    if (!['switch', 'branch'].includes(step.type)) {
+      return { valid: false, error: 'Unknown step type' };
+    }
+    if (step.type === 'switch' && (!step.params || typeof step.params.cases !== 'object')) {
+      return { valid: false, error: 'Missing required param: cases' };
+    }
+    if (step.type === 'branch' && (!step.params || step.params.condition === undefined)) {
+      return { valid: false, error: 'Missing required param: condition' };
+    }
+    return { valid: true };
+  }
+
+  async execute(step, context) {
+    const startTime = Date.now();
+    let output;
+
+    try {
+      output = step.type === 'switch'
+        ? this._executeSwitch(step, context)
+        : await this._executeBranch(step, context);
+
+      return {
+        step_id: step.id,
+        status: 'success',
+        output,
+        execution_metadata: {
+          timestamp: new Date().toISOString(),
+          latency_ms: Date.now() - startTime,
+          adapter_version: this.getManifest().version
+        }
+      };
+    } catch (error) {
+      return {
+        step_id: step.id,
+        status: 'error',
+        error: {
+          code: 'CONTROL_ERROR',
+          message: error.message,
+          retryable: false
+        },
+        execution_metadata: {
+          timestamp: new Date().toISOString(),
+          latency_ms: Date.now() - startTime,
+          adapter_version: this.getManifest().version
+        }
+      };
+    }
+  }
+
+  _executeSwitch(step, context) {
+    const { cases, default: fallback = [] } = step.params;
+    const value = context.resolveReference(step.params.value);
+    const matched = Object.prototype.hasOwnProperty.call(cases, String(value))
+      ? String(value)
+      : null;
+
+    const taken = matched !== null ? cases[matched] : fallback;
+    const all = [...Object.values(cases).flat(), ...fallback];
+
+    return {
+      value,
+      matched_case: matched,
+      taken,
+      not_taken: all.filter(id => !taken.includes(id))
+    };
+  }
+
+  async _executeBranch(step, context) {
+    const { then: thenSteps = [], else: elseSteps = [] } = step.params;
+    const result = await Condition.evaluate(step.params.condition, context, step.scope);
+    const taken = result ? thenSteps : elseSteps;
+
+    return {
+      condition: result,
+      taken,
+      not_taken: [...thenSteps, ...elseSteps].filter(id => !taken.includes(id))
+    };
+  }
+
+  async healthCheck() {
+    return { status: 'healthy', timestamp: new Date().toISOString() };
+  }
+}
+
 // ============================================================================
 // EXECUTION CONTEXT
 // ============================================================================
@@ -684,9 +1892,39 @@ class TransformAdapter extends Adapter {
 class ExecutionContext {
   constructor(workflow) {
     this.workflow = workflow;
+    this.stepIds = new Set(workflow.steps.map(s => s.id));
+    this.callStack = [];
+    this.runId = null;
+    this.inputs = {};
+    this.preCompleted = new Map();
+    this.previousReceipts = new Map();
     this.stepOutputs = new Map();
     this.receipts = new Map();
     this.startTime = Date.now();
+    this.controller = new AbortController();
+    this.signal = this.controller.signal;
+  }
+
+  /**
+   * Cancel the run: no further steps start and `signal` aborts with an
+   * error whose code is CANCELLED. Returns false if already cancelled.
+   */
+  cancel(reason = 'Run cancelled') {
+    if (this.signal.aborted) return false;
+    const error = new Error(reason);
+    error.code = 'CANCELLED';
+    this.controller.abort(error);
+    return true;
+  }
+
+  /**
+   * A view of this context for one step, whose `signal` aborts when the
+   * step times out or the run is cancelled
+   */
+  forStep(signal) {
+    const stepContext = Object.create(this);
+    stepContext.signal = signal;
+    return stepContext;
   }
 
   /**
@@ -704,9 +1942,18 @@ class ExecutionContext {
   }
 
   /**
-   * Store receipt
+   * Register steps created at run time (foreach children)
    */
-  setReceipt(stepId, receipt) {
+  addSteps(steps) {
+    for (const step of steps) {
+      this.stepIds.add(step.id);
+    }
+  }
+
+  /**
+   * Store receipt
+   */
+  setReceipt(stepId, receipt) {
     this.receipts.set(stepId, receipt);
   }
 
@@ -724,6 +1971,77 @@ class ExecutionContext {
     return Array.from(this.receipts.values());
   }
 
+  /**
+   * Resolve a `$stepId.path` or `$inputs.name` reference against stored
+   * step outputs and workflow inputs. Strings that do not name a workflow
+   * step are returned unchanged.
+   */
+  resolveReference(value) {
+    if (typeof value !== 'string' || !value.startsWith('$')) {
+      return value;
+    }
+
+    // Foreach child IDs may contain dots; take the longest known step ID
+    const segments = value.substring(1).split('.');
+    let length = segments.length;
+    if (segments[0] === 'inputs') {
+      length = 1;
+    } else {
+      while (length > 0 && !this.stepIds.has(segments.slice(0, length).join('.'))) length--;
+    }
+    if (length === 0) {
+      return value;
+    }
+
+    const stepId = segments.slice(0, length).join('.');
+    const path = segments.slice(length);
+    let result = stepId === 'inputs' ? this.inputs : this.getStepOutput(stepId);
+    for (const key of path) {
+      if (result === undefined || result === null) return undefined;
+      result = result[key];
+    }
+    return result;
+  }
+
+  /**
+   * Resolve a single param value: `=expr` strings are evaluated, strings
+   * containing `${...}` are rendered as templates, and anything else goes
+   * through resolveReference. A leading `==` stands for a literal `=`, and
+   * `\${` for a literal `${`.
+   */
+  async resolveValue(value, scope = {}) {
+    if (typeof value === 'string' && value.startsWith('==')) {
+      const rest = value.substring(1);
+      return rest.includes('${') ? Expression.interpolate(rest, this, scope) : rest;
+    }
+    if (typeof value === 'string' && value.startsWith('=')) {
+      return Expression.evaluate(value.substring(1), this, scope);
+    }
+    if (typeof value === 'string' && value.includes('${')) {
+      return Expression.interpolate(value, this, scope);
+    }
+    return this.resolveReference(value);
+  }
+
+  /**
+   * Resolve every reference and expression inside a params object, recursively
+   */
+  async resolveParams(value, scope = {}) {
+    if (Array.isArray(value)) {
+      const resolved = [];
+      for (const v of value) resolved.push(await this.resolveParams(v, scope));
+      return resolved;
+    }
+    if (value && typeof value === 'object') {
+      const resolved = {};
+      for (const [k, v] of Object.entries(value)) {
+        resolved[k] = await this.resolveParams(v, scope);
+      }
+      return resolved;
+    }
+    return this.resolveValue(value, scope);
+  }
+
   /**
    * Get execution duration
    */
@@ -733,324 +2051,3529 @@ class ExecutionContext {
 }
 
 // ============================================================================
-// CORE ENGINE COMPONENTS
+// EXPRESSIONS
 // ============================================================================
 
 /**
- * Parser - Validates workflow JSON and constructs DAG
+ * Expression - A small, sandboxed expression language for step params.
+ *
+ * A param string starting with `=` is an expression (`'=$order.total * 1.2'`)
+ * and a string containing `${...}` is a template
+ * (`'Order ${$inputs.id} shipped'`). Expressions support literals
+ * (numbers, strings, true/false/null, arrays), `$step.path`, `$inputs.name`,
+ * `$item` and `$index` references, member access, indexing and slicing
+ * (`$a.rows[1:3]`, negative indices count from the end), arithmetic,
+ * comparisons, `&&`/`||`/`!`, `??`, `?:` and the functions in
+ * `Expression.functions`.
+ *
+ * There is no access to globals, prototypes, time or randomness, so the
+ * same inputs give the same result in browsers and Node.js.
  */
-class Parser {
-  static parse(workflowJson) {
-    // Validate against schema
-    const validation = JSONSchemaValidator.validate(workflowJson, WorkflowSchema);
-    if (!validation.valid) {
-      throw new Error(`Invalid workflow: ${JSON.stringify(validation.errors)}`);
+class Expression {
+  /**
+   * Evaluate an expression source (without the leading `=`).
+   * `scope` binds `item`, `index` and template sibling `aliases`.
+   */
+  static async evaluate(source, context, scope = {}) {
+    const ast = this.parse(source);
+    const value = await this._eval(ast, context, scope);
+    return value === undefined ? null : value;
+  }
+
+  /**
+   * Render a template string, evaluating each `${...}` segment
+   */
+  static async interpolate(template, context, scope = {}) {
+    let result = '';
+    for (const part of this._splitTemplate(template)) {
+      if (typeof part === 'string') {
+        result += part;
+      } else {
+        result += this._toText(await this.evaluate(part.source, context, scope));
+      }
     }
+    return result;
+  }
 
-    // Construct DAG
-    const dag = new DAG(workflowJson.steps);
+  /**
+   * Whether a param value is evaluated rather than passed through
+   */
+  static isDynamic(value) {
+    if (typeof value !== 'string') return false;
+    return (value.startsWith('=') && !value.startsWith('==')) || /(^|[^\\])\$\{/.test(value);
+  }
 
-    // Check for cycles
-    if (dag.hasCycle()) {
-      throw new Error('Workflow contains cycles');
+  /**
+   * The `$name.path` references an expression or template reads, as plain
+   * reference strings, for static checking
+   */
+  static references(value) {
+    const sources = value.startsWith('=') && !value.startsWith('==')
+      ? [value.substring(1)]
+      : this._splitTemplate(value).filter(p => typeof p !== 'string').map(p => p.source);
+
+    const references = [];
+    for (const source of sources) {
+      const tokens = this._tokenize(source);
+      tokens.forEach((token, idx) => {
+        if (token.type !== 'ref') return;
+        let reference = `$${token.value}`;
+        for (let i = idx + 1; i + 1 < tokens.length && tokens[i].value === '.' && tokens[i + 1].type === 'ident'; i += 2) {
+          reference += `.${tokens[i + 1].value}`;
+        }
+        references.push(reference);
+      });
     }
+    return references;
+  }
 
-    return {
-      workflow: workflowJson,
-      dag,
-      executionOrder: dag.topologicalSort()
+  static parse(source) {
+    if (typeof source !== 'string' || source.length > this.maxLength) {
+      throw new Error(`Expression error: source must be a string of at most ${this.maxLength} characters`);
+    }
+
+    const tokens = this._tokenize(source);
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+    const next = () => tokens[pos++];
+    const accept = (value) => {
+      if (peek() && peek().type === 'punct' && peek().value === value) {
+        pos++;
+        return true;
+      }
+      return false;
+    };
+    const expect = (value) => {
+      if (!accept(value)) {
+        const found = peek() ? `'${peek().value}'` : 'end of expression';
+        throw new Error(`Expression error: expected '${value}' but found ${found} in: ${source}`);
+      }
     };
-  }
-}
 
-/**
- * Scheduler - Routes steps to adapters and manages execution order
- */
-class Scheduler {
-  constructor(adapters) {
-    this.adapters = new Map(adapters.map(a => [a.getManifest().adapter_id, a]));
-    this.stepTypeToAdapter = new Map();
+    const binary = (nextLevel, operators) => () => {
+      let left = nextLevel();
+      while (peek() && peek().type === 'punct' && operators.includes(peek().value)) {
+        const op = next().value;
+        left = { type: 'binary', op, left, right: nextLevel() };
+      }
+      return left;
+    };
 
-    // Build step type to adapter mapping
-    for (const [adapterId, adapter] of this.adapters) {
-      const manifest = adapter.getManifest();
-      for (const stepType of manifest.step_types) {
-        this.stepTypeToAdapter.set(stepType.type, adapterId);
+    const primary = () => {
+      const token = next();
+      if (!token) {
+        throw new Error(`Expression error: unexpected end of expression: ${source}`);
+      }
+
+      switch (token.type) {
+        case 'number':
+        case 'string':
+          return { type: 'literal', value: token.value };
+        case 'ref':
+          return { type: 'ref', name: token.value };
+        case 'ident':
+          if (token.value === 'true') return { type: 'literal', value: true };
+          if (token.value === 'false') return { type: 'literal', value: false };
+          if (token.value === 'null') return { type: 'literal', value: null };
+          if (accept('(')) {
+            const args = [];
+            if (!accept(')')) {
+              do { args.push(expression()); } while (accept(','));
+              expect(')');
+            }
+            return { type: 'call', name: token.value, args };
+          }
+          throw new Error(`Expression error: unknown identifier '${token.value}' (references start with $)`);
+        case 'punct':
+          if (token.value === '(') {
+            const inner = expression();
+            expect(')');
+            return inner;
+          }
+          if (token.value === '[') {
+            const items = [];
+            if (!accept(']')) {
+              do { items.push(expression()); } while (accept(','));
+              expect(']');
+            }
+            return { type: 'array', items };
+          }
+      }
+      throw new Error(`Expression error: unexpected '${token.value}' in: ${source}`);
+    };
+
+    const postfix = () => {
+      let node = primary();
+      while (true) {
+        if (accept('.')) {
+          const name = next();
+          if (!name || (name.type !== 'ident' && name.type !== 'number')) {
+            throw new Error(`Expression error: expected a property name after '.' in: ${source}`);
+          }
+          node = { type: 'member', object: node, property: { type: 'literal', value: String(name.value) } };
+        } else if (accept('[')) {
+          const start = peek() && peek().value === ':' ? null : expression();
+          if (accept(':')) {
+            const end = peek() && peek().value === ']' ? null : expression();
+            expect(']');
+            node = { type: 'slice', object: node, start, end };
+          } else {
+            expect(']');
+            node = { type: 'member', object: node, property: start };
+          }
+        } else {
+          return node;
+        }
       }
+    };
+
+    const unary = () => {
+      if (accept('!')) return { type: 'unary', op: '!', operand: unary() };
+      if (accept('-')) return { type: 'unary', op: '-', operand: unary() };
+      return postfix();
+    };
+
+    const multiplicative = binary(unary, ['*', '/', '%']);
+    const additive = binary(multiplicative, ['+', '-']);
+    const relational = binary(additive, ['<', '<=', '>', '>=']);
+    const equality = binary(relational, ['==', '!=']);
+    const and = binary(equality, ['&&']);
+    const or = binary(and, ['||']);
+    const nullish = binary(or, ['??']);
+
+    const expression = () => {
+      const test = nullish();
+      if (accept('?')) {
+        const consequent = expression();
+        expect(':');
+        return { type: 'conditional', test, consequent, alternate: expression() };
+      }
+      return test;
+    };
+
+    const ast = expression();
+    if (pos < tokens.length) {
+      throw new Error(`Expression error: unexpected '${peek().value}' in: ${source}`);
     }
+    return ast;
   }
 
-  /**
-   * Get adapter for step type
-   */
-  getAdapterForStep(step) {
-    const adapterId = this.stepTypeToAdapter.get(step.type);
-    if (!adapterId) {
-      throw new Error(`No adapter found for step type: ${step.type}`);
+  static _tokenize(source) {
+    const tokens = [];
+    const punctuation = ['==', '!=', '<=', '>=', '&&', '||', '??',
+      '(', ')', '[', ']', ',', '.', ':', '?', '+', '-', '*', '/', '%', '!', '<', '>'];
+    let i = 0;
+
+    while (i < source.length) {
+      const rest = source.substring(i);
+      let match;
+
+      if ((match = rest.match(/^\s+/))) {
+        i += match[0].length;
+      } else if ((match = rest.match(/^\d+(\.\d+)?([eE][+-]?\d+)?/))) {
+        tokens.push({ type: 'number', value: Number(match[0]) });
+        i += match[0].length;
+      } else if ((match = rest.match(/^\$([A-Za-z_]\w*)/))) {
+        tokens.push({ type: 'ref', value: match[1] });
+        i += match[0].length;
+      } else if ((match = rest.match(/^[A-Za-z_]\w*/))) {
+        tokens.push({ type: 'ident', value: match[0] });
+        i += match[0].length;
+      } else if (rest[0] === '"' || rest[0] === "'") {
+        const quote = rest[0];
+        let value = '';
+        let j = 1;
+        while (j < rest.length && rest[j] !== quote) {
+          if (rest[j] === '\\' && j + 1 < rest.length) {
+            const escaped = rest[j + 1];
+            value += { n: '\n', t: '\t', r: '\r' }[escaped] ?? escaped;
+            j += 2;
+          } else {
+            value += rest[j++];
+          }
+        }
+        if (j >= rest.length) {
+          throw new Error(`Expression error: unterminated string in: ${source}`);
+        }
+        tokens.push({ type: 'string', value });
+        i += j + 1;
+      } else {
+        const op = punctuation.find(p => rest.startsWith(p));
+        if (!op) {
+          throw new Error(`Expression error: unexpected character '${rest[0]}' in: ${source}`);
+        }
+        tokens.push({ type: 'punct', value: op });
+        i += op.length;
+      }
     }
-    return this.adapters.get(adapterId);
+    return tokens;
   }
 
   /**
-   * Validate step against adapter schema
+   * Split a template into literal strings and `{ source }` segments
    */
-  validateStep(step) {
-    const adapter = this.getAdapterForStep(step);
-    return adapter.validate(step);
+  static _splitTemplate(template) {
+    const parts = [];
+    let i = 0;
+
+    while (i < template.length) {
+      const start = template.indexOf('${', i);
+      if (start === -1) {
+        parts.push(template.substring(i));
+        break;
+      }
+      if (template[start - 1] === '\\') {
+        // `\${` is a literal `${`
+        parts.push(template.substring(i, start - 1) + '${');
+        i = start + 2;
+        continue;
+      }
+      if (start > i) parts.push(template.substring(i, start));
+
+      // Find the closing brace, skipping over quoted strings
+      let j = start + 2;
+      let quote = null;
+      for (; j < template.length; j++) {
+        const char = template[j];
+        if (quote) {
+          if (char === '\\') j++;
+          else if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+          quote = char;
+        } else if (char === '}') {
+          break;
+        }
+      }
+      if (j >= template.length) {
+        throw new Error(`Expression error: unterminated \${ in template: ${template}`);
+      }
+
+      parts.push({ source: template.substring(start + 2, j) });
+      i = j + 1;
+    }
+    return parts;
   }
 
-  /**
-   * Check resource requirements (basic implementation)
-   */
-  checkResources(step) {
-    const requirements = step.resource_requirements || {};
-    
-    // Basic checks - in production, this would check against available resources
-    if (requirements.ram_mb && requirements.ram_mb > 16384) {
-      return {
-        available: false,
-        reason: 'RAM requirement exceeds available memory'
-      };
+  static async _eval(node, context, scope) {
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+
+      case 'array': {
+        const items = [];
+        for (const item of node.items) items.push(await this._eval(item, context, scope));
+        return items;
+      }
+
+      case 'ref':
+        return this._resolve(node.name, context, scope);
+
+      case 'member': {
+        const object = await this._eval(node.object, context, scope);
+        const property = await this._eval(node.property, context, scope);
+        return this._member(object, property);
+      }
+
+      case 'slice': {
+        const object = await this._eval(node.object, context, scope);
+        if (typeof object !== 'string' && !Array.isArray(object)) {
+          throw new Error(`Expression error: cannot slice ${this._typeName(object)}`);
+        }
+        const start = node.start ? await this._eval(node.start, context, scope) : 0;
+        const end = node.end ? await this._eval(node.end, context, scope) : object.length;
+        if (!Number.isInteger(start) || !Number.isInteger(end)) {
+          throw new Error('Expression error: slice bounds must be integers');
+        }
+        return typeof object === 'string'
+          ? [...object].slice(start, end).join('')
+          : object.slice(start, end);
+      }
+
+      case 'unary': {
+        const operand = await this._eval(node.operand, context, scope);
+        if (node.op === '!') return !this._truthy(operand);
+        return this._number(-this._requireNumber(operand, '-'));
+      }
+
+      case 'binary':
+        return this._binary(node, context, scope);
+
+      case 'conditional':
+        return this._truthy(await this._eval(node.test, context, scope))
+          ? this._eval(node.consequent, context, scope)
+          : this._eval(node.alternate, context, scope);
+
+      case 'call': {
+        if (!Object.prototype.hasOwnProperty.call(this.functions, node.name)) {
+          throw new Error(`Expression error: unknown function ${node.name}()`);
+        }
+        const args = [];
+        for (const arg of node.args) args.push(await this._eval(arg, context, scope));
+        return this.functions[node.name](...args);
+      }
     }
+    throw new Error(`Expression error: unknown node ${node.type}`);
+  }
 
-    return { available: true };
+  static async _binary(node, context, scope) {
+    const left = await this._eval(node.left, context, scope);
+
+    // Short-circuiting operators
+    if (node.op === '&&') {
+      return this._truthy(left) && this._truthy(await this._eval(node.right, context, scope));
+    }
+    if (node.op === '||') {
+      return this._truthy(left) || this._truthy(await this._eval(node.right, context, scope));
+    }
+    if (node.op === '??') {
+      return left === null || left === undefined ? this._eval(node.right, context, scope) : left;
+    }
+
+    const right = await this._eval(node.right, context, scope);
+    switch (node.op) {
+      case '==': return this._equal(left, right);
+      case '!=': return !this._equal(left, right);
+      case '+':
+        if (typeof left === 'number' && typeof right === 'number') return this._number(left + right);
+        if (Array.isArray(left) && Array.isArray(right)) return [...left, ...right];
+        if (typeof left === 'string' || typeof right === 'string') {
+          return this._toText(left) + this._toText(right);
+        }
+        throw new Error(`Expression error: cannot add ${this._typeName(left)} and ${this._typeName(right)}`);
+      case '-': return this._number(this._requireNumber(left, '-') - this._requireNumber(right, '-'));
+      case '*': return this._number(this._requireNumber(left, '*') * this._requireNumber(right, '*'));
+      case '/':
+      case '%':
+        if (this._requireNumber(right, node.op) === 0) {
+          throw new Error('Expression error: division by zero');
+        }
+        return this._number(node.op === '/'
+          ? this._requireNumber(left, '/') / right
+          : this._requireNumber(left, '%') % right);
+      case '<': case '<=': case '>': case '>=': {
+        const comparable = (typeof left === 'number' && typeof right === 'number') ||
+          (typeof left === 'string' && typeof right === 'string');
+        if (!comparable) {
+          throw new Error(`Expression error: cannot compare ${this._typeName(left)} and ${this._typeName(right)}`);
+        }
+        if (node.op === '<') return left < right;
+        if (node.op === '<=') return left <= right;
+        if (node.op === '>') return left > right;
+        return left >= right;
+      }
+    }
+    throw new Error(`Expression error: unknown operator ${node.op}`);
+  }
+
+  static _resolve(name, context, scope) {
+    if ((name === 'item' || name === 'index') && Object.prototype.hasOwnProperty.call(scope, name)) {
+      return scope[name];
+    }
+    if (name === 'inputs') {
+      return context.inputs;
+    }
+
+    const stepId = (scope.aliases && scope.aliases[name]) || name;
+    if (!context.stepIds.has(stepId)) {
+      throw new Error(`Expression error: unknown reference $${name}`);
+    }
+    const output = context.getStepOutput(stepId);
+    return output === undefined ? null : output;
+  }
+
+  static _member(object, property) {
+    if (object === null || object === undefined) return null;
+
+    if (Array.isArray(object) || typeof object === 'string') {
+      const items = typeof object === 'string' ? [...object] : object;
+      if (!Number.isInteger(property)) return null;
+      const index = property < 0 ? items.length + property : property;
+      return index >= 0 && index < items.length ? items[index] : null;
+    }
+
+    // Own properties only: no prototype or constructor access
+    if (typeof object === 'object' && Object.prototype.hasOwnProperty.call(object, String(property))) {
+      const value = object[String(property)];
+      return value === undefined ? null : value;
+    }
+    return null;
+  }
+
+  static _requireNumber(value, op) {
+    if (typeof value !== 'number') {
+      throw new Error(`Expression error: '${op}' expects numbers, got ${this._typeName(value)}`);
+    }
+    return value;
+  }
+
+  static _number(value) {
+    if (!Number.isFinite(value)) {
+      throw new Error('Expression error: result is not a finite number');
+    }
+    return value;
+  }
+
+  static _truthy(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    return Boolean(value);
+  }
+
+  static _equal(a, b) {
+    return JSONSchemaValidator._equal(a === undefined ? null : a, b === undefined ? null : b);
+  }
+
+  static _toText(value) {
+    if (typeof value === 'string') return value;
+    return canonicalize(value) ?? 'null';
+  }
+
+  static _typeName(value) {
+    if (value === null || value === undefined) return 'null';
+    return Array.isArray(value) ? 'array' : typeof value;
   }
 }
 
+Expression.maxLength = 4096;
+
 /**
- * Executor - Executes steps and collects receipts
+ * Functions callable from expressions. Each must be pure.
  */
-class Executor {
-  constructor(scheduler) {
-    this.scheduler = scheduler;
-  }
+Expression.functions = {
+  len: value => {
+    if (typeof value === 'string') return [...value].length;
+    if (Array.isArray(value)) return value.length;
+    if (value && typeof value === 'object') return Object.keys(value).length;
+    throw new Error(`Expression error: len() expects a string, array or object, got ${Expression._typeName(value)}`);
+  },
+  coalesce: (...values) => {
+    const found = values.find(v => v !== null && v !== undefined);
+    return found === undefined ? null : found;
+  },
+  sha256: value => CryptoUtils.createHash('sha256', Expression._toText(value)),
+  lower: value => String(value).toLowerCase(),
+  upper: value => String(value).toUpperCase(),
+  trim: value => String(value).trim(),
+  starts_with: (value, prefix) => String(value).startsWith(prefix),
+  ends_with: (value, suffix) => String(value).endsWith(suffix),
+  contains: (haystack, needle) => {
+    if (Array.isArray(haystack)) return haystack.some(item => Expression._equal(item, needle));
+    return String(haystack).includes(needle);
+  },
+  split: (value, separator) => String(value).split(separator),
+  join: (values, separator = '') => values.map(v => Expression._toText(v)).join(separator),
+  keys: value => Object.keys(value || {}).sort(),
+  values: value => Object.keys(value || {}).sort().map(key => value[key]),
+  number: value => Expression._number(Number(value)),
+  string: value => Expression._toText(value),
+  abs: value => Math.abs(Expression._requireNumber(value, 'abs')),
+  floor: value => Math.floor(Expression._requireNumber(value, 'floor')),
+  ceil: value => Math.ceil(Expression._requireNumber(value, 'ceil')),
+  round: (value, digits = 0) => {
+    const factor = Math.pow(10, digits);
+    return Math.round(Expression._requireNumber(value, 'round') * factor) / factor;
+  },
+  min: (...values) => {
+    const numbers = (values.length === 1 && Array.isArray(values[0]) ? values[0] : values)
+      .map(v => Expression._requireNumber(v, 'min'));
+    return numbers.length > 0 ? Math.min(...numbers) : null;
+  },
+  max: (...values) => {
+    const numbers = (values.length === 1 && Array.isArray(values[0]) ? values[0] : values)
+      .map(v => Expression._requireNumber(v, 'max'));
+    return numbers.length > 0 ? Math.max(...numbers) : null;
+  },
+  sum: values => Expression._number(values.reduce((acc, v) => acc + Expression._requireNumber(v, 'sum'), 0))
+};
 
-  /**
-   * Execute a single step
-   */
-  async executeStep(step, context) {
-    // Validate step
-    const validation = this.scheduler.validateStep(step);
-    if (!validation.valid) {
-      throw new Error(`Step validation failed: ${validation.error}`);
+// ============================================================================
+// CONDITIONS
+// ============================================================================
+
+/**
+ * Condition - Evaluates `when` clauses and branch conditions.
+ *
+ * A condition is `true`/`false`, a comparison
+ * `{ ref: '$step.path', eq | ne | gt | gte | lt | lte | in: value }`,
+ * an existence check `{ ref, exists: true }`, a bare `{ ref }` (truthiness),
+ * or a combination via `{ all: [...] }`, `{ any: [...] }`, `{ not: ... }`.
+ * A string is an expression (`'$order.total > 100'`, the leading `=` is
+ * optional) and is true when its result is truthy.
+ */
+class Condition {
+  static async evaluate(condition, context, scope = {}) {
+    if (typeof condition === 'boolean') {
+      return condition;
     }
 
-    // Check resources
-    const resourceCheck = this.scheduler.checkResources(step);
-    if (!resourceCheck.available) {
-      throw new Error(`Resource check failed: ${resourceCheck.reason}`);
+    if (typeof condition === 'string') {
+      const source = condition.startsWith('=') ? condition.substring(1) : condition;
+      return Expression._truthy(await Expression.evaluate(source, context, scope));
     }
 
-    // Get adapter
-    const adapter = this.scheduler.getAdapterForStep(step);
+    if (!condition || typeof condition !== 'object') {
+      throw new Error(`Invalid condition: ${JSON.stringify(condition)}`);
+    }
 
-    // Execute with timeout
-    const timeout = step.resource_requirements?.timeout_ms || 30000;
-    const receipt = await this._executeWithTimeout(
-      () => adapter.execute(step, context),
-      timeout
-    );
+    if (Array.isArray(condition.all)) {
+      for (const c of condition.all) {
+        if (!(await this.evaluate(c, context, scope))) return false;
+      }
+      return true;
+    }
+    if (Array.isArray(condition.any)) {
+      for (const c of condition.any) {
+        if (await this.evaluate(c, context, scope)) return true;
+      }
+      return false;
+    }
+    if ('not' in condition) {
+      return !(await this.evaluate(condition.not, context, scope));
+    }
 
-    // Ensure receipt has merkle_proof field (will be updated when stored)
-    if (!receipt.merkle_proof) {
-      receipt.merkle_proof = 'pending';
+    if (!('ref' in condition)) {
+      throw new Error(`Condition requires a ref: ${JSON.stringify(condition)}`);
+    }
+
+    const value = context.resolveReference(condition.ref);
+
+    if ('exists' in condition) {
+      return (value !== undefined && value !== null) === condition.exists;
+    }
+    if ('eq' in condition) return value === context.resolveReference(condition.eq);
+    if ('ne' in condition) return value !== context.resolveReference(condition.ne);
+    if ('gt' in condition) return value > context.resolveReference(condition.gt);
+    if ('gte' in condition) return value >= context.resolveReference(condition.gte);
+    if ('lt' in condition) return value < context.resolveReference(condition.lt);
+    if ('lte' in condition) return value <= context.resolveReference(condition.lte);
+    if ('in' in condition) {
+      const options = context.resolveReference(condition.in);
+      return Array.isArray(options) && options.includes(value);
+    }
+
+    return Boolean(value);
+  }
+}
+
+// ============================================================================
+// EVENTS
+// ============================================================================
+
+/**
+ * Emitter - Minimal event emitter that works in browsers and Node.js.
+ *
+ * A listener that throws does not affect the run or the other listeners;
+ * its error is emitted as an `error` event `{ source, error, run_id? }`.
+ */
+class Emitter {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  on(event, listener) {
+    if (!this.listeners.has(event)) this.listeners.set(event, []);
+    this.listeners.get(event).push(listener);
+    return this;
+  }
+
+  off(event, listener) {
+    const listeners = this.listeners.get(event) || [];
+    const idx = listeners.indexOf(listener);
+    if (idx !== -1) listeners.splice(idx, 1);
+    return this;
+  }
+
+  once(event, listener) {
+    const wrapper = (...args) => {
+      this.off(event, wrapper);
+      listener(...args);
+    };
+    return this.on(event, wrapper);
+  }
+
+  emit(event, payload) {
+    const listeners = [...(this.listeners.get(event) || [])];
+    for (const listener of listeners) {
+      try {
+        listener(payload);
+      } catch (error) {
+        // A failing error listener is not reported again
+        if (event !== 'error') {
+          this.emit('error', { source: event, error, ...(payload?.run_id ? { run_id: payload.run_id } : {}) });
+        }
+      }
+    }
+    return listeners.length > 0;
+  }
+}
+
+// ============================================================================
+// WORKFLOW MIGRATIONS
+// ============================================================================
+
+/**
+ * Migrations - Upgrades workflows written for an older version of the DSL.
+ *
+ * A workflow declares the DSL version it was written for in `dsl_version`
+ * (semver). Without one it is taken to be current, unless it has the shape
+ * of the legacy WorkflowEngine dialect (`function` and step `config`).
+ * Registered migrations are chained from the workflow's version up to
+ * `Migrations.CURRENT_VERSION`; each reports a JSON Patch style diff of
+ * what it changed and any warnings.
+ */
+class Migrations {
+  /**
+   * Register a migration `{ from, to, description, migrate(workflow, warnings) }`.
+   * It applies to workflows at versions from `from` up to (not including)
+   * `to`, returns the migrated workflow and pushes `{ path, message }`
+   * warnings for anything it could not translate.
+   */
+  static register(migration) {
+    const { from, to, migrate } = migration;
+    if (!Migrations.parseVersion(from) || !Migrations.parseVersion(to) || Migrations.compare(from, to) >= 0) {
+      throw new Error(`Invalid migration range: ${from} -> ${to}`);
+    }
+    if (typeof migrate !== 'function') {
+      throw new Error('Migration requires a migrate() function');
+    }
+    Migrations.registry.push(migration);
+  }
+
+  static parseVersion(version) {
+    const match = typeof version === 'string' &&
+      /^(\d+)\.(\d+)\.(\d+)(-[0-9A-Za-z.-]+)?(\+[0-9A-Za-z.-]+)?$/.exec(version);
+    return match ? { parts: match.slice(1, 4).map(Number), prerelease: Boolean(match[4]) } : null;
+  }
+
+  /**
+   * Order two semver strings; a prerelease sorts before its release
+   */
+  static compare(a, b) {
+    const left = Migrations.parseVersion(a);
+    const right = Migrations.parseVersion(b);
+    for (let i = 0; i < 3; i++) {
+      if (left.parts[i] !== right.parts[i]) return left.parts[i] < right.parts[i] ? -1 : 1;
+    }
+    return Number(right.prerelease) - Number(left.prerelease);
+  }
+
+  /**
+   * DSL version a workflow was written for
+   */
+  static detectVersion(workflow) {
+    if (workflow && workflow.dsl_version !== undefined) {
+      if (!Migrations.parseVersion(workflow.dsl_version)) {
+        throw new Error(`Invalid workflow: dsl_version ${JSON.stringify(workflow.dsl_version)} is not a semantic version`);
+      }
+      return workflow.dsl_version;
+    }
+
+    const legacy = workflow && typeof workflow === 'object' && workflow.workflow === undefined &&
+      (typeof workflow.function === 'string' ||
+        (Array.isArray(workflow.steps) && workflow.steps.some(step => step && step.config !== undefined)));
+    return legacy ? Migrations.LEGACY_VERSION : Migrations.CURRENT_VERSION;
+  }
+
+  /**
+   * Bring a workflow up to the current DSL version. Returns the migrated
+   * workflow (the same object when nothing applied) and one report per
+   * migration applied: `{ from, to, description, diff, warnings }`.
+   */
+  static migrate(workflow) {
+    const fromVersion = Migrations.detectVersion(workflow);
+    if (Migrations.compare(fromVersion, Migrations.CURRENT_VERSION) > 0) {
+      throw new Error(`Workflow DSL version ${fromVersion} is newer than the supported ${Migrations.CURRENT_VERSION}`);
+    }
+
+    const migrations = [];
+    let version = fromVersion;
+    let current = workflow;
+    while (Migrations.compare(version, Migrations.CURRENT_VERSION) < 0) {
+      const migration = Migrations.registry
+        .filter(m => Migrations.compare(m.from, version) <= 0 && Migrations.compare(version, m.to) < 0)
+        .sort((a, b) => Migrations.compare(b.from, a.from))[0];
+      if (!migration) {
+        throw new Error(`No migration registered from workflow DSL version ${version}`);
+      }
+
+      const warnings = [];
+      const migrated = { ...migration.migrate(JSON.parse(JSON.stringify(current)), warnings), dsl_version: migration.to };
+      migrations.push({
+        from: version,
+        to: migration.to,
+        description: migration.description,
+        diff: Migrations.diff(current, migrated),
+        warnings
+      });
+      current = migrated;
+      version = migration.to;
+    }
+
+    return { workflow: current, from_version: fromVersion, migrations };
+  }
+
+  /**
+   * Differences between two JSON values as JSON Patch (RFC 6902) style
+   * operations. `replace` and `remove` also carry the `previous` value.
+   */
+  static diff(before, after, path = '', operations = []) {
+    const isObject = v => v !== null && typeof v === 'object';
+
+    if (Array.isArray(before) && Array.isArray(after)) {
+      const common = Math.min(before.length, after.length);
+      for (let i = 0; i < common; i++) {
+        Migrations.diff(before[i], after[i], `${path}/${i}`, operations);
+      }
+      for (let i = before.length - 1; i >= common; i--) {
+        operations.push({ op: 'remove', path: `${path}/${i}`, previous: before[i] });
+      }
+      for (let i = common; i < after.length; i++) {
+        operations.push({ op: 'add', path: `${path}/${i}`, value: after[i] });
+      }
+    } else if (isObject(before) && isObject(after) && !Array.isArray(before) && !Array.isArray(after)) {
+      for (const key of Object.keys(before)) {
+        const keyPath = `${path}/${JSONSchemaValidator._escape(key)}`;
+        if (!(key in after)) {
+          operations.push({ op: 'remove', path: keyPath, previous: before[key] });
+        } else {
+          Migrations.diff(before[key], after[key], keyPath, operations);
+        }
+      }
+      for (const key of Object.keys(after)) {
+        if (!(key in before)) {
+          operations.push({ op: 'add', path: `${path}/${JSONSchemaValidator._escape(key)}`, value: after[key] });
+        }
+      }
+    } else if (canonicalize(before) !== canonicalize(after)) {
+      operations.push({ op: 'replace', path: path || '', value: after, previous: before });
+    }
+
+    return operations;
+  }
+}
+
+Migrations.CURRENT_VERSION = '1.0.0';
+Migrations.LEGACY_VERSION = '0.1.0';
+Migrations.registry = [];
+
+/**
+ * Legacy WorkflowEngine dialect: `function` becomes `workflow` and step
+ * `config` becomes `params`. `{{inputs.x}}` and `{{steps.id.output.path}}`
+ * placeholders become `$inputs.x` and `$id.path` references, or `${...}`
+ * template segments inside longer strings. Legacy steps ran one after the
+ * other, so each migrated step also depends on the one before it; a legacy
+ * workflow with `parallel: true` keeps only the data dependencies instead.
+ * Referenced inputs are declared, untyped and optional.
+ */
+Migrations.register({
+  from: '0.0.0',
+  to: '1.0.0',
+  description: 'Legacy WorkflowEngine format: config and {{ }} placeholders to params and $ references',
+  migrate(legacy, warnings) {
+    const { function: name, steps = [], parallel = false, ...rest } = legacy;
+    const stepIds = new Set();
+    const inputs = {};
+
+    const toReference = (placeholder, path, dependencies) => {
+      const parts = placeholder.trim().split('.');
+      if (parts[0] === 'inputs' && parts.length > 1) {
+        inputs[parts[1]] = inputs[parts[1]] || {};
+        return `$${parts.join('.')}`;
+      }
+      if (parts[0] === 'steps' && parts[2] === 'output' && stepIds.has(parts[1])) {
+        dependencies.add(parts[1]);
+        return `$${[parts[1], ...parts.slice(3)].join('.')}`;
+      }
+      warnings.push({ path, message: `Placeholder {{${placeholder}}} has no equivalent and was left as is` });
+      return null;
+    };
+
+    const translate = (value, path, dependencies) => {
+      if (Array.isArray(value)) {
+        return value.map((item, idx) => translate(item, `${path}/${idx}`, dependencies));
+      }
+      if (value !== null && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+          [key, translate(item, `${path}/${JSONSchemaValidator._escape(key)}`, dependencies)]));
+      }
+      if (typeof value !== 'string') return value;
+
+      // Escape what the current DSL would evaluate, so literals stay literal
+      const literal = (value.startsWith('=') ? `=${value}` : value).replace(/\$\{/g, '\\${');
+
+      const whole = /^\{\{([^}]+)\}\}$/.exec(literal);
+      if (whole) {
+        return toReference(whole[1], path, dependencies) ?? literal;
+      }
+      return literal.replace(/\{\{([^}]+)\}\}/g, (match, placeholder) => {
+        const reference = toReference(placeholder, path, dependencies);
+        return reference ? `\${${reference}}` : match;
+      });
+    };
+
+    const migratedSteps = steps.map((step, idx) => {
+      const { config, ...fields } = step;
+      const dependencies = new Set(step.parent_step_ids || []);
+      const migrated = { ...fields };
+      if (config !== undefined) {
+        migrated.params = translate(config, `/steps/${idx}/params`, dependencies);
+      }
+      if (!parallel && idx > 0) {
+        dependencies.add(steps[idx - 1].id);
+      }
+      if (dependencies.size > 0) {
+        migrated.parent_step_ids = [...dependencies];
+      }
+      stepIds.add(step.id);
+      return migrated;
+    });
+
+    if (parallel) {
+      warnings.push({
+        path: '/parallel',
+        message: 'Steps depend only on the steps they reference and may run in parallel; legacy steps ran one at a time'
+      });
+    }
+
+    return {
+      workflow: name ?? legacy.workflow,
+      ...rest,
+      ...(Object.keys(inputs).length > 0 ? { inputs: { ...inputs, ...legacy.inputs } } : {}),
+      steps: migratedSteps
+    };
+  }
+});
+
+// ============================================================================
+// CORE ENGINE COMPONENTS
+// ============================================================================
+
+/**
+ * Parser - Validates workflow JSON and constructs DAG
+ */
+class Parser {
+  /**
+   * Validate a workflow and build its DAG. Workflows written for an older
+   * DSL version are migrated first (see Migrations); the reports are
+   * returned as `migrations`.
+   */
+  static parse(input, options = {}) {
+    const { workflow: workflowJson, migrations } = Migrations.migrate(input);
+
+    // Validate against schema
+    const validation = JSONSchemaValidator.validate(workflowJson, WorkflowSchema);
+    if (!validation.valid) {
+      throw new Error(`Invalid workflow: ${JSON.stringify(validation.errors)}`);
+    }
+
+    if (workflowJson.steps.some(step => step.id === 'inputs')) {
+      throw new Error('Invalid workflow: step ID "inputs" is reserved for $inputs references');
+    }
+
+    // Construct DAG
+    const dag = new DAG(workflowJson.steps);
+
+    // Check for cycles
+    if (dag.hasCycle()) {
+      throw new Error('Workflow contains cycles');
+    }
+
+    return {
+      workflow: workflowJson,
+      dag,
+      executionOrder: dag.topologicalSort(),
+      diagnostics: this.checkReferences(workflowJson, options.scheduler),
+      migrations
+    };
+  }
+
+  /**
+   * Content hash of a workflow: SHA-256 of its canonical JSON, so key order
+   * and whitespace do not change a workflow's identity
+   */
+  static hash(workflow) {
+    return CryptoUtils.createHash('sha256', canonicalize(workflow));
+  }
+
+  /**
+   * Check every `$step.path` and `$inputs.name` reference ahead of time.
+   * A step may only reference its ancestors in the DAG (inside a foreach
+   * template: its template ancestors, or the foreach step's ancestors).
+   * Where the referenced step type declares an `output_schema`, or the
+   * input a schema, the path is checked against it.
+   *
+   * Returns diagnostics `{ severity, step_id, path, reference, message }`,
+   * with `path` a JSON pointer to the reference in the workflow.
+   */
+  static checkReferences(workflow, scheduler = null) {
+    const diagnostics = [];
+    const scope = { dag: new DAG(workflow.steps), ancestors: null, parent: null, template: false };
+    this._checkSteps(workflow.steps, '/steps', scope, { workflow, scheduler, diagnostics });
+    return diagnostics;
+  }
+
+  static _checkSteps(steps, basePath, scope, env) {
+    steps.forEach((step, idx) => this._checkStep(step, `${basePath}/${idx}`, scope, env));
+  }
+
+  static _checkStep(step, stepPath, scope, env) {
+    const stepScope = { ...scope, ancestors: scope.dag.getAncestors(step.id) };
+    const params = step.params || {};
+
+    const visit = (value, path) => {
+      if (Array.isArray(value)) {
+        value.forEach((v, i) => visit(v, `${path}/${i}`));
+      } else if (value && typeof value === 'object') {
+        for (const [key, v] of Object.entries(value)) {
+          // Templates are checked in their own scope below
+          if (step.type === 'foreach' && value === params && (key === 'steps' || key === 'step')) continue;
+          visit(v, `${path}/${JSONSchemaValidator._escape(key)}`);
+        }
+      } else if (Expression.isDynamic(value)) {
+        visitExpression(value, path);
+      } else if (typeof value === 'string' && value.startsWith('$')) {
+        const problem = this._checkReference(value, step, stepScope, env);
+        if (problem) {
+          env.diagnostics.push({ ...problem, step_id: step.id, path, reference: value });
+        }
+      }
+    };
+    const visitExpression = (value, path) => {
+      let references;
+      try {
+        if (value.startsWith('=') && !value.startsWith('==')) {
+          Expression.parse(value.substring(1));
+        } else {
+          Expression._splitTemplate(value).forEach(p => typeof p !== 'string' && Expression.parse(p.source));
+        }
+        references = Expression.references(value);
+      } catch (error) {
+        env.diagnostics.push({ severity: 'error', step_id: step.id, path, message: error.message });
+        return;
+      }
+      for (const reference of references) {
+        const problem = this._checkReference(reference, step, stepScope, env, true);
+        if (problem) {
+          env.diagnostics.push({ ...problem, step_id: step.id, path, reference });
+        }
+      }
+    };
+    visit(params, `${stepPath}/params`);
+    if (typeof step.when === 'string') {
+      visitExpression(step.when.startsWith('=') ? step.when : `=${step.when}`, `${stepPath}/when`);
+    } else {
+      visit(step.when, `${stepPath}/when`);
+    }
+
+    if (step.type !== 'foreach' || !(Array.isArray(params.steps) || params.step)) return;
+
+    const templates = params.steps || [{ id: step.id, ...params.step }];
+    let dag;
+    try {
+      dag = new DAG(templates);
+    } catch (error) {
+      env.diagnostics.push({ severity: 'error', step_id: step.id, path: `${stepPath}/params/steps`, message: error.message });
+      return;
+    }
+
+    const templateScope = { dag, ancestors: null, parent: stepScope, template: true };
+    if (params.steps) {
+      this._checkSteps(templates, `${stepPath}/params/steps`, templateScope, env);
+    } else {
+      this._checkStep(templates[0], `${stepPath}/params/step`, templateScope, env);
+    }
+  }
+
+  static _checkReference(reference, step, scope, env, inExpression = false) {
+    const [head, ...path] = reference.substring(1).split('.');
+
+    if (head === 'item' || head === 'index') {
+      if (scope.template) return null;
+      return inExpression
+        ? { severity: 'error', message: `$${head} is only defined inside foreach templates` }
+        : {
+          severity: 'warning',
+          message: `$${head} is only defined inside foreach templates and is passed as a literal string`
+        };
+    }
+
+    if (head === 'inputs') {
+      const declared = env.workflow.inputs || {};
+      if (path.length === 0) return null;
+      if (!(path[0] in declared)) {
+        return { severity: 'error', message: `Input ${path[0]} is not declared` };
+      }
+      return this._checkPath(Inputs.split(declared[path[0]]).schema, path.slice(1), `input ${path[0]}`);
+    }
+
+    // Walk out from the innermost scope; each enclosing scope's ancestors
+    // are those of the foreach step that owns the inner scope
+    for (let current = scope; current; current = current.parent) {
+      if (!current.dag.steps.has(head)) continue;
+
+      if (current === scope && head === step.id) {
+        return { severity: 'error', message: `Step ${step.id} references its own output` };
+      }
+      if (!current.ancestors.has(head)) {
+        return {
+          severity: 'error',
+          message: `${reference} references step ${head}, which is not an ancestor of step ${step.id}`
+        };
+      }
+
+      const type = current.dag.steps.get(head).type;
+      const schema = env.scheduler ? env.scheduler.getOutputSchema(type) : null;
+      return schema ? this._checkPath(schema, path, `step ${head} (${type})`) : null;
+    }
+
+    if (inExpression) {
+      return { severity: 'error', message: `${reference} does not name a step or input` };
+    }
+    if (/^[A-Za-z_][\w-]*$/.test(head)) {
+      return {
+        severity: 'warning',
+        message: `${reference} does not name a step or input and is passed as a literal string`
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Check that a property path is declared by a schema. Paths into parts
+   * of the schema that do not list their properties are accepted.
+   */
+  static _checkPath(schema, path, subject) {
+    let node = schema;
+
+    for (let i = 0; i < path.length; i++) {
+      while (node && typeof node === 'object' && typeof node.$ref === 'string') {
+        node = JSONSchemaValidator._resolveRef(node.$ref, schema);
+      }
+      if (!node || node === true || typeof node !== 'object') return null;
+
+      const key = path[i];
+      const at = path.slice(0, i + 1).join('.');
+      if (/^\d+$/.test(key) && (node.items !== undefined || node.prefixItems !== undefined)) {
+        node = (node.prefixItems || [])[Number(key)] ?? node.items;
+        continue;
+      }
+      if (node.properties && Object.prototype.hasOwnProperty.call(node.properties, key)) {
+        node = node.properties[key];
+        continue;
+      }
+      const pattern = Object.keys(node.patternProperties || {})
+        .find(p => JSONSchemaValidator._regex(p)?.test(key));
+      if (pattern) {
+        node = node.patternProperties[pattern];
+        continue;
+      }
+      if (node.additionalProperties === false) {
+        return { severity: 'error', message: `Path ${at} is not declared by the schema of ${subject}` };
+      }
+      if (node.additionalProperties && typeof node.additionalProperties === 'object') {
+        node = node.additionalProperties;
+        continue;
+      }
+      if (node.properties) {
+        return { severity: 'warning', message: `Path ${at} is not listed in the schema of ${subject}` };
+      }
+      return null;
+    }
+    return null;
+  }
+}
+
+/**
+ * Inputs - Applies defaults to run inputs and validates them against the
+ * workflow's `inputs` block. Each entry is a JSON Schema for that input,
+ * plus optional `default` and `required` fields.
+ */
+class Inputs {
+  static resolve(workflow, provided = {}) {
+    const declared = workflow.inputs || {};
+    const errors = [];
+
+    if (!provided || typeof provided !== 'object' || Array.isArray(provided)) {
+      throw new Error('Invalid inputs: expected an object');
+    }
+
+    for (const name of Object.keys(provided)) {
+      if (!(name in declared)) {
+        errors.push({ path: `/${JSONSchemaValidator._escape(name)}`, message: `Unknown input: ${name}` });
+      }
+    }
+
+    const values = {};
+    const properties = {};
+    const required = [];
+    for (const [name, definition] of Object.entries(declared)) {
+      const { schema, defaultValue, isRequired } = Inputs.split(definition);
+      properties[name] = schema;
+      if (isRequired) required.push(name);
+
+      if (provided[name] !== undefined) {
+        values[name] = provided[name];
+      } else if (defaultValue !== undefined) {
+        values[name] = JSON.parse(JSON.stringify(defaultValue));
+      }
+    }
+
+    const validation = JSONSchemaValidator.validate(values, { type: 'object', required, properties });
+    errors.push(...validation.errors);
+
+    if (errors.length > 0) {
+      const error = new Error(`Invalid inputs: ${JSON.stringify(errors)}`);
+      error.errors = errors;
+      throw error;
+    }
+
+    return values;
+  }
+
+  /**
+   * Separate an input definition into its JSON Schema, its default and
+   * whether the input is required. Only `required: true` is the input
+   * flag; an array is the schema's own list of required properties.
+   */
+  static split(definition) {
+    const { default: defaultValue, ...schema } = definition;
+    const isRequired = schema.required === true;
+    if (typeof schema.required === 'boolean') delete schema.required;
+    return { schema, defaultValue, isRequired };
+  }
+}
+
+/**
+ * Scheduler - Routes steps to adapters and manages execution order
+ */
+class Scheduler {
+  constructor(adapters, resources = {}) {
+    this.adapters = new Map(adapters.map(a => [a.getManifest().adapter_id, a]));
+    this.stepTypeToAdapter = new Map();
+    this.resources = new ResourcePool(resources);
+
+    // Build step type to adapter mapping
+    for (const [adapterId, adapter] of this.adapters) {
+      const manifest = adapter.getManifest();
+      for (const stepType of manifest.step_types) {
+        this.stepTypeToAdapter.set(stepType.type, adapterId);
+      }
+    }
+  }
+
+  /**
+   * Get adapter for step type
+   */
+  getAdapterForStep(step) {
+    const adapterId = this.stepTypeToAdapter.get(step.type);
+    if (!adapterId) {
+      throw new Error(`No adapter found for step type: ${step.type}`);
+    }
+    return this.adapters.get(adapterId);
+  }
+
+  /**
+   * Validate step against adapter schema
+   */
+  validateStep(step) {
+    const adapter = this.getAdapterForStep(step);
+
+    const errors = this.validateParams(step);
+    if (errors.length > 0) {
+      return {
+        valid: false,
+        error: errors.map(e => `${e.path || '/'}: ${e.message}`).join('; ')
+      };
+    }
+
+    return adapter.validate(step);
+  }
+
+  /**
+   * JSON Schema for a step type's params, derived from its manifest entry:
+   * either a full schema in `params`, or the `params_schema` short form
+   * mapping each param to a type name (`'string'`, `'integer'`, `'any'`...)
+   */
+  getParamsSchema(stepType) {
+    if (stepType === 'foreach') return ForeachParamsSchema;
+    if (stepType === 'workflow_call') return WorkflowCallParamsSchema;
+
+    const adapter = this.getAdapterForStep({ type: stepType });
+    const entry = adapter.getManifest().step_types.find(t => t.type === stepType);
+
+    if (entry.params && typeof entry.params === 'object') {
+      return entry.params;
+    }
+    if (!entry.params_schema) {
+      return { type: 'object' };
+    }
+
+    const properties = {};
+    for (const [name, type] of Object.entries(entry.params_schema)) {
+      if (type && typeof type === 'object') {
+        properties[name] = type;
+      } else if (['string', 'number', 'integer', 'boolean', 'array', 'object', 'null'].includes(type)) {
+        properties[name] = { type };
+      } else {
+        properties[name] = {};
+      }
+    }
+    return { type: 'object', properties };
+  }
+
+  /**
+   * JSON Schema of a step type's output, when its manifest declares one
+   */
+  getOutputSchema(stepType) {
+    if (stepType === 'foreach') return ForeachOutputSchema;
+    if (stepType === 'workflow_call') return WorkflowCallOutputSchema;
+
+    const adapterId = this.stepTypeToAdapter.get(stepType);
+    if (!adapterId) return null;
+
+    const entry = this.adapters.get(adapterId).getManifest().step_types.find(t => t.type === stepType);
+    return entry.output_schema || null;
+  }
+
+  /**
+   * Validate a step's params against its manifest schema. Values that are
+   * references (see `isReference`) are only known at run time and are not
+   * checked. Error paths are JSON pointers relative to the params.
+   */
+  validateParams(step, isReference = () => false) {
+    const params = step.params || {};
+    const { errors } = JSONSchemaValidator.validate(params, this.getParamsSchema(step.type));
+
+    return errors.filter(error => {
+      let value = params;
+      if (isReference(value)) return false;
+      for (const token of error.path.split('/').slice(1)) {
+        if (value === null || typeof value !== 'object') break;
+        value = value[token.replace(/~1/g, '/').replace(/~0/g, '~')];
+        if (isReference(value)) return false;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Check a step's resource requirements against the host's total capacity.
+   * A step that fails this check can never run; one that passes may still
+   * have to wait for other steps to release their reservations.
+   */
+  checkResources(step) {
+    return this.resources.fits(this.getResourceRequirements(step));
+  }
+
+  /**
+   * A step's resource requirements: those its step type declares in the
+   * manifest, overridden key by key by the step's own
+   */
+  getResourceRequirements(step) {
+    const adapterId = this.stepTypeToAdapter.get(step.type);
+    const entry = adapterId &&
+      this.adapters.get(adapterId).getManifest().step_types.find(t => t.type === step.type);
+    return { ...(entry?.resource_requirements || {}), ...(step.resource_requirements || {}) };
+  }
+}
+
+/**
+ * Resource Pool - Host capacity shared by every step the engine runs.
+ *
+ * Steps reserve their `resource_requirements` (`ram_mb`, `gpu`, `qubits`,
+ * `gas_limit`) before they start and release them when they finish; a
+ * `gpu: true` step takes one GPU. Capacities default to 16384 MB of RAM
+ * and no limit on the rest.
+ */
+class ResourcePool {
+  constructor(capacity = {}) {
+    this.capacity = { ...ResourcePool.defaults, ...capacity };
+    this.inUse = Object.fromEntries(Object.keys(this.capacity).map(r => [r, 0]));
+    this.reservations = 0;
+    this.waiters = [];
+  }
+
+  /**
+   * Amount of each pooled resource a step needs
+   */
+  static demand(requirements = {}) {
+    const demand = {};
+    for (const resource of Object.keys(ResourcePool.defaults)) {
+      const value = requirements[resource];
+      const amount = value === true ? 1 : (typeof value === 'number' ? value : 0);
+      if (amount > 0) demand[resource] = amount;
+    }
+    return demand;
+  }
+
+  /**
+   * Whether the requirements fit the total capacity at all
+   */
+  fits(requirements) {
+    for (const [resource, amount] of Object.entries(ResourcePool.demand(requirements))) {
+      const capacity = this.capacity[resource] ?? Infinity;
+      if (amount > capacity) {
+        return {
+          available: false,
+          resource,
+          reason: `${resource} requirement ${amount} exceeds host capacity ${capacity}`
+        };
+      }
+    }
+    return { available: true };
+  }
+
+  /**
+   * Reserve the requirements if they fit what is currently free
+   */
+  tryReserve(requirements) {
+    const demand = ResourcePool.demand(requirements);
+    for (const [resource, amount] of Object.entries(demand)) {
+      if (this.inUse[resource] + amount > (this.capacity[resource] ?? Infinity)) {
+        return false;
+      }
+    }
+
+    for (const [resource, amount] of Object.entries(demand)) {
+      this.inUse[resource] += amount;
+    }
+    this.reservations++;
+    return true;
+  }
+
+  /**
+   * Release requirements previously reserved with tryReserve
+   */
+  release(requirements) {
+    for (const [resource, amount] of Object.entries(ResourcePool.demand(requirements))) {
+      this.inUse[resource] -= amount;
+    }
+    this.reservations--;
+
+    const waiters = this.waiters;
+    this.waiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+
+  /**
+   * Resolve on the next release
+   */
+  released() {
+    return new Promise(resolve => this.waiters.push(resolve));
+  }
+
+  /**
+   * Capacity and current use of each resource
+   */
+  snapshot() {
+    return {
+      capacity: { ...this.capacity },
+      in_use: { ...this.inUse },
+      reservations: this.reservations
+    };
+  }
+}
+
+ResourcePool.defaults = {
+  ram_mb: 16384,
+  gpu: Infinity,
+  qubits: Infinity,
+  gas_limit: Infinity
+};
+
+/**
+ * Concurrency Limiter - Caps in-flight steps per workflow and per adapter
+ */
+class ConcurrencyLimiter {
+  constructor(maxConcurrency = Infinity, adapterLimits = {}) {
+    this.maxConcurrency = maxConcurrency;
+    this.adapterLimits = adapterLimits;
+    this.active = 0;
+    this.activeByAdapter = new Map();
+    this.waiters = [];
+  }
+
+  /**
+   * Whether a slot is free for a step routed to the given adapter
+   */
+  available(adapter) {
+    const adapterId = adapter.getManifest().adapter_id;
+    const adapterLimit = this.adapterLimits[adapterId]
+      ?? adapter.getManifest().max_concurrency
+      ?? Infinity;
+    const adapterActive = this.activeByAdapter.get(adapterId) || 0;
+
+    return this.active < this.maxConcurrency && adapterActive < adapterLimit;
+  }
+
+  /**
+   * Reserve a slot for a step routed to the given adapter
+   */
+  tryAcquire(adapter) {
+    if (!this.available(adapter)) {
+      return false;
+    }
+
+    const adapterId = adapter.getManifest().adapter_id;
+    this.active++;
+    this.activeByAdapter.set(adapterId, (this.activeByAdapter.get(adapterId) || 0) + 1);
+    return true;
+  }
+
+  /**
+   * Release a slot previously reserved for the given adapter
+   */
+  release(adapter) {
+    const adapterId = adapter.getManifest().adapter_id;
+    this.active--;
+    this.activeByAdapter.set(adapterId, this.activeByAdapter.get(adapterId) - 1);
+
+    const waiters = this.waiters;
+    this.waiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+
+  /**
+   * Resolve on the next release, for graphs whose ready steps are waiting
+   * on slots held by another graph sharing this limiter
+   */
+  released() {
+    return new Promise(resolve => this.waiters.push(resolve));
+  }
+}
+
+/**
+ * Executor - Executes steps and collects receipts
+ */
+class Executor {
+  constructor(scheduler, events = new Emitter()) {
+    this.scheduler = scheduler;
+    this.events = events;
+    this.hooks = [];
+  }
+
+  /**
+   * Execute a single step
+   */
+  async executeStep(step, context, { resolve = true, hooks = true } = {}) {
+    // Resolve step references up front; the resolved params are recorded
+    // as the receipt's inputs so the step can be replayed on its own.
+    // Replay passes already-resolved inputs with resolve: false and does
+    // not run the step hooks.
+    let inputs = step.params || {};
+    if (resolve) {
+      try {
+        inputs = await context.resolveParams(inputs, step.scope);
+      } catch (error) {
+        return {
+          step_id: step.id,
+          status: 'error',
+          error: {
+            code: 'EXPRESSION_ERROR',
+            message: error.message,
+            retryable: false
+          },
+          merkle_proof: 'pending',
+          execution_metadata: {
+            timestamp: new Date().toISOString(),
+            latency_ms: 0,
+            adapter_version: this.scheduler.getAdapterForStep(step).getManifest().version
+          }
+        };
+      }
+    }
+    const resolvedStep = { ...step, params: inputs };
+
+    // Validate step
+    const validation = this.scheduler.validateStep(resolvedStep);
+    if (!validation.valid) {
+      throw new Error(`Step validation failed: ${validation.error}`);
+    }
+
+    // Check resources
+    const resourceCheck = this.scheduler.checkResources(step);
+    if (!resourceCheck.available) {
+      throw new Error(`Resource check failed: ${resourceCheck.reason}`);
+    }
+
+    // Get adapter
+    const adapter = this.scheduler.getAdapterForStep(step);
+
+    // Execute with timeout, unless a beforeStep hook rejects the step
+    const timeout = step.resource_requirements?.timeout_ms || 30000;
+    const startTime = Date.now();
+    let receipt = hooks ? await this._beforeStep(resolvedStep, context, adapter) : null;
+    try {
+      receipt = receipt || await this._executeWithTimeout(
+        signal => adapter.execute(resolvedStep, context.forStep(signal)),
+        timeout,
+        context.signal
+      );
+    } catch (error) {
+      if (error.code !== 'EXECUTION_TIMEOUT' && error.code !== 'CANCELLED') throw error;
+
+      // A timed-out attempt is recorded like any other failed attempt so
+      // the retry policy can decide whether to run it again; a cancelled
+      // one never is
+      receipt = {
+        step_id: step.id,
+        status: 'error',
+        error: {
+          code: error.code,
+          message: error.message,
+          retryable: error.code === 'EXECUTION_TIMEOUT'
+        },
+        execution_metadata: {
+          timestamp: new Date().toISOString(),
+          latency_ms: Date.now() - startTime,
+          adapter_version: adapter.getManifest().version
+        }
+      };
+    }
+
+    receipt.inputs = inputs;
+
+    // Ensure receipt has merkle_proof field (will be updated when stored)
+    if (!receipt.merkle_proof) {
+      receipt.merkle_proof = 'pending';
+    }
+
+    // Validate receipt
+    const receiptValidation = JSONSchemaValidator.validate(receipt, ReceiptSchema);
+    if (!receiptValidation.valid) {
+      throw new Error(`Invalid receipt: ${JSON.stringify(receiptValidation.errors)}`);
+    }
+
+    if (hooks) {
+      await this._afterStep(resolvedStep, receipt, context);
+    }
+
+    return receipt;
+  }
+
+  /**
+   * Run the beforeStep hooks in registration order. A hook that throws
+   * rejects the attempt; its error becomes the attempt's receipt.
+   */
+  async _beforeStep(step, context, adapter) {
+    for (const hook of this.hooks) {
+      if (!hook.beforeStep) continue;
+      try {
+        await hook.beforeStep(step, context);
+      } catch (error) {
+        return {
+          step_id: step.id,
+          status: 'error',
+          error: {
+            code: error.code || 'HOOK_REJECTED',
+            message: error.message,
+            retryable: false
+          },
+          execution_metadata: {
+            timestamp: new Date().toISOString(),
+            latency_ms: 0,
+            adapter_version: adapter.getManifest().version
+          }
+        };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Run the afterStep hooks in registration order; they observe the
+   * receipt and cannot fail the step. A hook that throws is reported as an
+   * `error` event.
+   */
+  async _afterStep(step, receipt, context) {
+    for (const hook of this.hooks) {
+      if (!hook.afterStep) continue;
+      try {
+        await hook.afterStep(step, receipt, context);
+      } catch (error) {
+        this.events.emit('error', { source: 'afterStep', error, run_id: context.runId, step_id: step.id });
+      }
+    }
+  }
+
+  /**
+   * Execute a step under its retry policy, returning one receipt per attempt
+   */
+  async executeWithRetry(step, context) {
+    const policy = {
+      max_attempts: 1,
+      backoff: 'exponential',
+      initial_delay_ms: 100,
+      max_delay_ms: 30000,
+      ...step.retry
+    };
+    const attempts = [];
+
+    for (let attempt = 1; ; attempt++) {
+      this.events.emit('step:start', { run_id: context.runId, step_id: step.id, type: step.type, attempt });
+      const receipt = await this.executeStep(step, context);
+      receipt.execution_metadata = { ...receipt.execution_metadata, attempt };
+      attempts.push(receipt);
+      this.events.emit('step:end', {
+        run_id: context.runId,
+        step_id: step.id,
+        attempt,
+        status: receipt.status,
+        latency_ms: receipt.execution_metadata.latency_ms,
+        ...(receipt.error ? { error: receipt.error } : {})
+      });
+
+      if (receipt.status !== 'error' ||
+          attempt >= policy.max_attempts ||
+          context.signal.aborted ||
+          !this._isRetryable(receipt.error, policy)) {
+        return attempts;
+      }
+
+      const delay = this._backoffDelay(policy, attempt);
+      this.events.emit('step:retry', {
+        run_id: context.runId,
+        step_id: step.id,
+        attempt: attempt + 1,
+        delay_ms: delay,
+        error: receipt.error
+      });
+
+      // Cancelling the run cuts the backoff short
+      await new Promise(resolve => {
+        const done = () => {
+          clearTimeout(timer);
+          context.signal.removeEventListener('abort', done);
+          resolve();
+        };
+        const timer = setTimeout(done, delay);
+        context.signal.addEventListener('abort', done);
+      });
+      if (context.signal.aborted) {
+        return attempts;
+      }
+    }
+  }
+
+  /**
+   * Classify an error: an explicit retry_on list wins over the adapter's flag
+   */
+  _isRetryable(error, policy) {
+    if (!error) return false;
+    if (Array.isArray(policy.retry_on)) {
+      return policy.retry_on.includes(error.code);
+    }
+    return error.retryable === true;
+  }
+
+  /**
+   * Delay before the next attempt, in milliseconds
+   */
+  _backoffDelay(policy, attempt) {
+    const exponential = Math.min(
+      policy.initial_delay_ms * Math.pow(2, attempt - 1),
+      policy.max_delay_ms
+    );
+
+    switch (policy.backoff) {
+      case 'fixed':
+        return Math.min(policy.initial_delay_ms, policy.max_delay_ms);
+      case 'jitter':
+        // Full jitter: uniform between zero and the exponential delay
+        return Math.floor(Math.random() * exponential);
+      case 'exponential':
+      default:
+        return exponential;
+    }
+  }
+
+  /**
+   * Execute with timeout. `fn` receives a signal that aborts on timeout or
+   * when `runSignal` aborts, so the adapter can stop its work; the returned
+   * promise rejects at once either way. The timer is always cleared.
+   */
+  async _executeWithTimeout(fn, timeoutMs, runSignal) {
+    const controller = new AbortController();
+    let timer;
+    let onCancel;
+
+    try {
+      return await new Promise((resolve, reject) => {
+        const abort = (error) => {
+          controller.abort(error);
+          reject(error);
+        };
+
+        onCancel = () => abort(runSignal.reason);
+        if (runSignal.aborted) {
+          onCancel();
+          return;
+        }
+        runSignal.addEventListener('abort', onCancel);
+
+        timer = setTimeout(() => {
+          const error = new Error('Execution timeout');
+          error.code = 'EXECUTION_TIMEOUT';
+          abort(error);
+        }, timeoutMs);
+
+        Promise.resolve().then(() => fn(controller.signal)).then(resolve, reject);
+      });
+    } finally {
+      clearTimeout(timer);
+      runSignal.removeEventListener('abort', onCancel);
+    }
+  }
+}
+
+// ============================================================================
+// RECEIPT STORAGE BACKENDS
+// ============================================================================
+
+/**
+ * Memory Storage - Default backend; records live for the process lifetime.
+ *
+ * Every backend is an append-only log of records with two methods:
+ * `append(record)` and `load()`, which returns all records in append order.
+ */
+class MemoryReceiptStorage {
+  constructor() {
+    this.records = [];
+  }
+
+  async append(record) {
+    this.records.push(record);
+  }
+
+  async load() {
+    return [...this.records];
+  }
+}
+
+/**
+ * File Storage - Append-only JSONL log for Node.js, one record per line
+ */
+class FileReceiptStorage {
+  constructor(filePath) {
+    if (!isNode) {
+      throw new Error('FileReceiptStorage requires Node.js');
+    }
+    this.filePath = filePath;
+    this.fs = require('fs');
+  }
+
+  async append(record) {
+    await this.fs.promises.appendFile(this.filePath, JSON.stringify(record) + '\n', 'utf8');
+  }
+
+  async load() {
+    let contents;
+    try {
+      contents = await this.fs.promises.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const lines = contents.split('\n').filter(line => line.trim());
+    const records = [];
+    let torn = false;
+    lines.forEach((line, idx) => {
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        // A torn final line from an interrupted write is dropped; anywhere
+        // else it means the log is corrupt
+        if (idx !== lines.length - 1) {
+          throw new Error(`Corrupt receipt log ${this.filePath} at line ${idx + 1}`);
+        }
+        torn = true;
+      }
+    });
+
+    // Repair the tail so the next append starts on a line of its own
+    if (torn) {
+      const kept = contents.substring(0, contents.lastIndexOf('\n', contents.trimEnd().length - 1) + 1);
+      await this.fs.promises.truncate(this.filePath, Buffer.byteLength(kept, 'utf8'));
+    } else if (contents && !contents.endsWith('\n')) {
+      await this.fs.promises.appendFile(this.filePath, '\n', 'utf8');
+    }
+    return records;
+  }
+}
+
+/**
+ * IndexedDB Storage - Browser backend with an auto-incrementing object store
+ */
+class IndexedDBReceiptStorage {
+  constructor(dbName = 'jsonflow', storeName = 'receipts') {
+    if (typeof indexedDB === 'undefined') {
+      throw new Error('IndexedDBReceiptStorage requires IndexedDB');
+    }
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.db = null;
+  }
+
+  async _open() {
+    if (this.db) return this.db;
+
+    this.db = await new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(this.storeName, { autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    return this.db;
+  }
+
+  async append(record) {
+    const db = await this._open();
+    await new Promise((resolve, reject) => {
+      const tx = db.transaction(this.storeName, 'readwrite');
+      tx.objectStore(this.storeName).add(record);
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  async load() {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const request = db.transaction(this.storeName, 'readonly')
+        .objectStore(this.storeName)
+        .getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+}
+
+/**
+ * Receipt Store - Persists and retrieves receipts
+ */
+class ReceiptStore {
+  constructor(storage = new MemoryReceiptStorage()) {
+    this.storage = storage;
+    this.receipts = new Map();
+    this.leafIndex = new Map();
+    this.merkleTree = new MerkleTree();
+    this.runs = new Map();
+    this.loading = null;
+    this.storing = Promise.resolve();
+  }
+
+  /**
+   * Reload receipts and Merkle leaves from the storage backend. Safe to
+   * call repeatedly; the backend is read once.
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = this._load();
+    }
+    return this.loading;
+  }
+
+  async _load() {
+    const records = await this.storage.load();
+    const leaves = [];
+    const runLeaves = new Map();
+
+    for (const record of records) {
+      if (record.type === 'run' || record.type === 'run_end') {
+        const { type, run_id, ...meta } = record;
+        Object.assign(this._getRun(run_id), meta);
+        continue;
+      }
+      if (record.type !== 'receipt') continue;
+
+      const { receipt, run_id: runId } = record;
+      const { merkle_proof, ...leaf } = receipt;
+      this.leafIndex.set(receipt.step_id, leaves.length);
+      leaves.push(leaf);
+      this.receipts.set(receipt.step_id, receipt);
+
+      if (runId) {
+        const run = this._getRun(runId);
+        run.receipts.push(receipt);
+        if (!runLeaves.has(runId)) runLeaves.set(runId, []);
+        runLeaves.get(runId).push(leaf);
+      }
+    }
+
+    await this.merkleTree.addLeaves(leaves);
+    for (const [runId, list] of runLeaves) {
+      await this.runs.get(runId).merkleTree.addLeaves(list);
+    }
+  }
+
+  /**
+   * Leaf hash of a receipt: everything but the merkle_proof it is stored as
+   */
+  static async hashReceipt(receipt) {
+    const { merkle_proof, ...leaf } = receipt;
+    return MerkleTree.hashLeaf(leaf);
+  }
+
+  _getRun(runId) {
+    if (!this.runs.has(runId)) {
+      this.runs.set(runId, { receipts: [], merkleTree: new MerkleTree(), status: null });
+    }
+    return this.runs.get(runId);
+  }
+
+  /**
+   * Record the start of a run with the workflow it executes
+   */
+  async startRun(runId, meta) {
+    await this.load();
+    Object.assign(this._getRun(runId), meta, { status: 'running' });
+    await this.storage.append({ type: 'run', run_id: runId, ...meta });
+  }
+
+  /**
+   * Record the final status of a run, with any details to keep alongside
+   * it (the signed run summary)
+   */
+  async endRun(runId, status, details = {}) {
+    await this.load();
+    Object.assign(this._getRun(runId), details, { status });
+    await this.storage.append({ type: 'run_end', run_id: runId, status, ...details });
+  }
+
+  /**
+   * Get a run's metadata and receipts, or null for an unknown run
+   */
+  getRun(runId) {
+    const run = this.runs.get(runId);
+    if (!run) return null;
+
+    const { merkleTree, receipts, ...meta } = run;
+    return { run_id: runId, ...meta, receipts: [...receipts] };
+  }
+
+  /**
+   * Store a receipt, optionally as part of a run's own receipt chain.
+   * The leaf hash covers everything but the merkle_proof field it fills in.
+   */
+  store(receipt, runId = null) {
+    // One at a time, so leaf indices and the log follow commit order
+    const result = this.storing.then(() => this._store(receipt, runId));
+    this.storing = result.catch(() => {});
+    return result;
+  }
+
+  async _store(receipt, runId) {
+    await this.load();
+
+    const { merkle_proof, ...leaf } = receipt;
+    receipt.merkle_proof = await this.merkleTree.addLeaf(leaf);
+    this.leafIndex.set(receipt.step_id, this.merkleTree.size - 1);
+
+    if (runId) {
+      const run = this._getRun(runId);
+      run.receipts.push(receipt);
+      await run.merkleTree.addLeaf(leaf);
+    }
+
+    this.receipts.set(receipt.step_id, receipt);
+    await this.storage.append({ type: 'receipt', run_id: runId, receipt });
+    return receipt;
+  }
+
+  /**
+   * Get every receipt of a run, in commit order
+   */
+  getRunReceipts(runId) {
+    const run = this.runs.get(runId);
+    return run ? [...run.receipts] : [];
+  }
+
+  /**
+   * Get a receipt by step ID
+   */
+  get(stepId) {
+    return this.receipts.get(stepId);
+  }
+
+  /**
+   * Get all receipts
+   */
+  getAll() {
+    return Array.from(this.receipts.values());
+  }
+
+  /**
+   * Get Merkle root, of a single run when a run ID is given
+   */
+  getMerkleRoot(runId = null) {
+    if (runId) {
+      const run = this.runs.get(runId);
+      return run ? run.merkleTree.getRoot() : null;
+    }
+    return this.merkleTree.getRoot();
+  }
+
+  /**
+   * Number of receipts in the store-wide log
+   */
+  getLogSize() {
+    return this.merkleTree.size;
+  }
+
+  /**
+   * Inclusion proof for a step's latest receipt: in the store-wide log, or
+   * in a run's own tree when a run ID is given (its final attempt there).
+   * Null if there is no such receipt.
+   */
+  async getMerkleProof(stepId, runId = null) {
+    if (runId) {
+      const run = this.runs.get(runId);
+      const index = run ? run.receipts.map(r => r.step_id).lastIndexOf(stepId) : -1;
+      return index === -1 ? null : run.merkleTree.getProof(index);
+    }
+
+    const index = this.leafIndex.get(stepId);
+    return index === undefined ? null : this.merkleTree.getProof(index);
+  }
+
+  /**
+   * Inclusion proof for the receipt at `index` in a run's own tree
+   */
+  async getRunProof(runId, index) {
+    const run = this.runs.get(runId);
+    return run && index < run.receipts.length ? run.merkleTree.getProof(index) : null;
+  }
+
+  /**
+   * Verify a step's latest receipt against the current root of the log, or
+   * of the run's tree
+   */
+  async verifyReceipt(stepId, runId = null) {
+    const proof = await this.getMerkleProof(stepId, runId);
+    if (!proof) return false;
+
+    const receipt = runId
+      ? this.runs.get(runId).receipts[proof.leaf_index]
+      : this.get(stepId);
+    return proof.leaf_hash === await ReceiptStore.hashReceipt(receipt) &&
+      await MerkleTree.verifyProof(proof, this.getMerkleRoot(runId));
+  }
+
+  /**
+   * Consistency proof that the log at `secondSize` receipts (now, by
+   * default) extends the log at `firstSize`, e.g. the `log_size` recorded
+   * in two run results
+   */
+  async getConsistencyProof(firstSize, secondSize = this.merkleTree.size) {
+    return this.merkleTree.getConsistencyProof(firstSize, secondSize);
+  }
+}
+
+// ============================================================================
+// RECEIPT SIGNING
+// ============================================================================
+
+/**
+ * Receipt Signer - Signs receipts and run summaries with a configured key.
+ *
+ * The crypto adapter (anything with `sign(data, key, algorithm)` and
+ * `verify(data, signature, publicKey, algorithm)`, e.g. CryptoAdapter) and
+ * the optional VaultManager are injected so the core stays browser-safe.
+ * `key` is a private key, or a `vault://` pointer resolved on first use.
+ * Signatures have the form `<algorithm>:<hex>`.
+ */
+class ReceiptSigner {
+  constructor({ crypto, key, vault = null, algorithm = 'ed25519' } = {}) {
+    if (!crypto || typeof crypto.sign !== 'function') {
+      throw new Error('Signer requires a crypto adapter with sign()');
+    }
+    if (!key) {
+      throw new Error('Signer requires a key');
+    }
+    if (typeof key === 'string' && key.startsWith('vault://') && !vault) {
+      throw new Error(`Signer key ${key} requires a vault`);
+    }
+
+    this.crypto = crypto;
+    this.key = key;
+    this.vault = vault;
+    this.algorithm = algorithm;
+    this.privateKey = null;
+  }
+
+  /**
+   * The bytes covered by a signature: the object minus its signature and
+   * merkle_proof, which is filled in after signing
+   */
+  static payload(data) {
+    const { signature, merkle_proof, ...signed } = data;
+    return canonicalize(signed);
+  }
+
+  async _resolveKey() {
+    if (this.privateKey) return this.privateKey;
+
+    let key = this.key;
+    if (typeof key === 'string' && key.startsWith('vault://')) {
+      key = await this.vault.get(key);
+      if (!key) {
+        throw new Error(`Signing key not found in vault: ${this.key}`);
+      }
+    }
+
+    // Key pairs as generated by CryptoAdapter carry their own algorithm
+    this.privateKey = typeof key === 'object' && key.privateKey ? key.privateKey : key;
+    return this.privateKey;
+  }
+
+  async sign(data) {
+    const privateKey = await this._resolveKey();
+    const signature = await this.crypto.sign(ReceiptSigner.payload(data), privateKey, this.algorithm);
+    return `${this.algorithm}:${signature}`;
+  }
+
+  static async verify(crypto, data, publicKey) {
+    if (typeof data.signature !== 'string' || !data.signature.includes(':')) {
+      return false;
+    }
+
+    const separator = data.signature.indexOf(':');
+    const algorithm = data.signature.substring(0, separator);
+    const signature = data.signature.substring(separator + 1);
+    try {
+      return Boolean(await crypto.verify(ReceiptSigner.payload(data), signature, publicKey, algorithm));
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+// ============================================================================
+// RUN BUNDLES
+// ============================================================================
+
+/**
+ * Run Bundle - A run exported as one self-contained JSON document: the
+ * workflow, inputs, receipts with their inclusion proofs, the run summary
+ * and its signature, the adapter versions used, and the bundles of any
+ * workflow_call child runs. Plain JSON, so it can be archived or pinned to
+ * IPFS as is, and verified offline with nothing but this file.
+ */
+class RunBundle {
+  /**
+   * Verify a bundle: the workflow against its content hash, every receipt's
+   * leaf hash and inclusion proof, the Merkle root, and each child run
+   * against the receipt that called it. Signatures are checked when a
+   * public key and a crypto adapter with `verify()` are given.
+   */
+  static async verify(bundle, publicKey = null, crypto = null) {
+    if (!bundle || bundle.format !== RunBundle.FORMAT) {
+      throw new Error('Not a run bundle');
+    }
+    if (bundle.version !== RunBundle.VERSION) {
+      throw new Error(`Unsupported run bundle version: ${bundle.version}`);
+    }
+    if (publicKey && (!crypto || typeof crypto.verify !== 'function')) {
+      throw new Error('Verifying signatures requires a crypto adapter with verify()');
+    }
+
+    const result = await RunBundle._verifyRun(bundle, publicKey ? crypto : null, publicKey);
+
+    // The top-level summary is what the run signature covers; child runs are
+    // anchored by the receipts that called them instead
+    result.signature_valid = publicKey
+      ? await ReceiptSigner.verify(crypto, { ...bundle.run, signature: bundle.signature }, publicKey)
+      : null;
+    result.valid = result.valid && result.signature_valid !== false;
+    return result;
+  }
+
+  /**
+   * Content hash of a run's resolved inputs, recorded in its summary
+   */
+  static async hashInputs(inputs) {
+    return CryptoUtils.createHash('sha256', canonicalize(inputs ?? {}));
+  }
+
+  static async _verifyRun(bundle, crypto, publicKey) {
+    const { run, workflow, receipts = [], proofs = [], children = [] } = bundle;
+
+    const workflowValid = workflow?.workflow === run.workflow_id &&
+      (await Parser.hash(workflow)) === run.workflow_hash;
+    const inputsValid = Boolean(run.inputs_hash) &&
+      (await RunBundle.hashInputs(bundle.inputs)) === run.inputs_hash;
+    const adaptersValid = Boolean(run.adapters) &&
+      canonicalize(bundle.adapters ?? null) === canonicalize(run.adapters);
+
+    const tree = new MerkleTree();
+    const receiptResults = [];
+    for (const [index, receipt] of receipts.entries()) {
+      const leafHash = await ReceiptStore.hashReceipt(receipt);
+      const { merkle_proof, ...leaf } = receipt;
+      await tree.addLeaf(leaf);
+
+      const proof = proofs[index];
+      const proofValid = Boolean(proof) && proof.leaf_index === index &&
+        proof.tree_size === receipts.length && proof.leaf_hash === leafHash &&
+        await MerkleTree.verifyProof(proof, run.merkle_root);
+      const signatureValid = crypto ? await ReceiptSigner.verify(crypto, receipt, publicKey) : null;
+      const leafValid = receipt.merkle_proof === leafHash;
+
+      receiptResults.push({
+        step_id: receipt.step_id,
+        valid: leafValid && proofValid && signatureValid !== false,
+        leaf_valid: leafValid,
+        proof_valid: proofValid,
+        signature_valid: signatureValid
+      });
+    }
+
+    const merkleRootValid = tree.getRoot() === run.merkle_root;
+    const summaryValid = run.receipt_count === receipts.length;
+
+    const childResults = [];
+    for (const child of children) {
+      const caller = receipts.find(r => r.output?.run_id === child.run?.run_id);
+      const childResult = await RunBundle._verifyRun(child, crypto, publicKey);
+      childResult.linked = Boolean(caller) &&
+        caller.output.merkle_root === child.run.merkle_root &&
+        caller.output.workflow_hash === child.run.workflow_hash &&
+        caller.output.inputs_hash === child.run.inputs_hash &&
+        canonicalize(caller.output.adapters ?? null) === canonicalize(child.run.adapters ?? null);
+      childResult.valid = childResult.valid && childResult.linked;
+      childResults.push(childResult);
+    }
+
+    // Every child run a receipt records must be in the bundle
+    const missingChildren = receipts
+      .filter(r => r.output?.run_id && !children.some(c => c.run?.run_id === r.output.run_id))
+      .map(r => r.step_id);
+
+    return {
+      run_id: run.run_id,
+      valid: workflowValid && inputsValid && adaptersValid && merkleRootValid && summaryValid &&
+        missingChildren.length === 0 && receiptResults.every(r => r.valid) && childResults.every(c => c.valid),
+      workflow_valid: workflowValid,
+      inputs_valid: inputsValid,
+      adapters_valid: adaptersValid,
+      merkle_root_valid: merkleRootValid,
+      summary_valid: summaryValid,
+      receipts: receiptResults,
+      children: childResults,
+      missing_children: missingChildren
+    };
+  }
+}
+
+RunBundle.FORMAT = 'jsonflow-run-bundle';
+RunBundle.VERSION = 1;
+
+// ============================================================================
+// MAIN JSONFLOW ENGINE
+// ============================================================================
+
+/**
+ * JSONFlowEngine - Runs workflows and records their receipts.
+ *
+ * Emits `run:start`, `step:ready`, `step:start`, `step:end`, `step:retry`,
+ * `step:receipt` and `run:end`; every payload carries the `run_id`.
+ */
+class JSONFlowEngine extends Emitter {
+  constructor(adapters = [], options = {}) {
+    super();
+    // Initialize with built-in adapters
+    const builtInAdapters = [
+      new MockAdapter(),
+      new TransformAdapter(),
+      new ControlAdapter()
+    ];
+
+    // A limit below 1 would leave steps waiting for a slot forever
+    const limits = [options.max_concurrency, ...Object.values(options.adapter_concurrency || {})];
+    if (limits.some(limit => limit !== undefined && !(limit >= 1))) {
+      throw new Error('max_concurrency and adapter_concurrency limits must be at least 1');
+    }
+
+    this.options = options;
+    this.scheduler = new Scheduler([...builtInAdapters, ...adapters], options.resources);
+    this.executor = new Executor(this.scheduler, this);
+    this.receiptStore = new ReceiptStore(options.storage);
+    this.signer = options.signer ? new ReceiptSigner(options.signer) : null;
+    this.workflows = new Map();
+    this.runs = new Map();
+  }
+
+  /**
+   * Register a reusable workflow for `workflow_call` steps. It can then be
+   * called by name or by its content hash.
+   */
+  async registerWorkflow(workflowJson) {
+    const { workflow } = Parser.parse(workflowJson);
+    // Called workflows may be registered later, in any order
+    this.validateWorkflow(workflow, { checkCalls: false });
+    const hash = await Parser.hash(workflow);
+
+    this.workflows.set(workflow.workflow, { workflow, hash });
+    this.workflows.set(hash, { workflow, hash });
+
+    return { name: workflow.workflow, hash };
+  }
+
+  /**
+   * Execute a workflow with the given values for its declared inputs.
+   * `options.traceparent` is a W3C trace context header the run continues.
+   */
+  async execute(workflowJson, inputs = {}, options = {}) {
+    return this._run(workflowJson, { inputs, traceparent: options.traceparent });
+  }
+
+  /**
+   * Resume a failed or interrupted run under a new run ID. Steps that
+   * already succeeded (or were skipped) are not executed again: their
+   * recorded receipts are committed at the same position in the new chain,
+   * so the Merkle root matches that of a run which never stopped.
+   */
+  async resume(runId, options = {}) {
+    await this.receiptStore.load();
+
+    const run = this.receiptStore.getRun(runId);
+    if (!run || !run.workflow) {
+      throw new Error(`Unknown run: ${runId}`);
+    }
+    if (run.status === 'success') {
+      throw new Error(`Run ${runId} already completed successfully`);
+    }
+
+    return this._run(run.workflow, {
+      inputs: run.inputs,
+      resumedFrom: runId,
+      receipts: run.receipts,
+      traceparent: options.traceparent
+    });
+  }
+
+  /**
+   * Plan a workflow without running it: validate it and its inputs as
+   * execute would, resolve each step's adapter, collect cost estimates from
+   * adapters that implement `estimate`, and group the steps into waves that
+   * run in parallel. Nothing is executed and no receipts are written.
+   * Step and input problems are reported in `errors`; a workflow that does
+   * not parse throws, as in execute.
+   */
+  async plan(workflowJson, inputs = {}) {
+    return this._plan(workflowJson, inputs, []);
+  }
+
+  async _plan(workflowJson, inputs, callStack) {
+    const { workflow, dag, migrations } = Parser.parse(workflowJson);
+    const workflowHash = await Parser.hash(workflow);
+    const errors = [];
+    let warnings = [];
+
+    try {
+      warnings = this.validateWorkflow(workflow);
+    } catch (error) {
+      if (!error.errors) throw error;
+      errors.push(...error.errors);
+    }
+
+    // Called workflows get their inputs from the caller at run time
+    let resolvedInputs = null;
+    if (inputs) {
+      try {
+        resolvedInputs = Inputs.resolve(workflow, inputs);
+      } catch (error) {
+        for (const { path = '', message } of error.errors || [error]) {
+          errors.push({ path: `/inputs${path}`, message });
+        }
+      }
+    }
+
+    const context = { workflow, inputs: resolvedInputs || {} };
+    const steps = [];
+    for (const step of workflow.steps) {
+      steps.push(await this._planStep(step, context, [...callStack, workflowHash]));
+    }
+
+    return {
+      workflow_id: workflow.workflow,
+      workflow_hash: workflowHash,
+      valid: errors.length === 0,
+      errors,
+      ...(warnings.length > 0 ? { diagnostics: warnings } : {}),
+      ...(migrations.length > 0 ? { migrations } : {}),
+      ...(inputs ? { inputs: resolvedInputs } : {}),
+      waves: dag.getWaves(),
+      steps
+    };
+  }
+
+  async _planStep(step, context, callStack) {
+    const requirements = this.scheduler.getResourceRequirements(step);
+    const entry = {
+      step_id: step.id,
+      type: step.type,
+      parent_step_ids: step.parent_step_ids || [],
+      ...(step.when !== undefined ? { when: step.when } : {}),
+      ...(Object.keys(requirements).length > 0 ? { resource_requirements: requirements } : {})
+    };
+    const params = step.params || {};
+
+    if (step.type === 'foreach') {
+      entry.items = Array.isArray(params.items) ? params.items.length : params.items;
+      const templates = Array.isArray(params.steps)
+        ? params.steps
+        : (params.step ? [{ id: step.id, ...params.step }] : []);
+      entry.steps = [];
+      for (const template of templates) {
+        entry.steps.push(await this._planStep(template, context, callStack));
+      }
+      return entry;
+    }
+
+    if (step.type === 'workflow_call') {
+      const target = this.workflows.get(params.hash || params.workflow);
+      if (target && !callStack.includes(target.hash)) {
+        entry.call = await this._plan(target.workflow, null, callStack);
+      }
+      return entry;
+    }
+
+    // Unknown step types are already reported by validateWorkflow
+    if (!this.scheduler.stepTypeToAdapter.has(step.type)) return entry;
+
+    const adapter = this.scheduler.getAdapterForStep(step);
+    const manifest = adapter.getManifest();
+    entry.adapter_id = manifest.adapter_id;
+    entry.adapter_version = manifest.version;
+    entry.deterministic = Boolean(manifest.step_types.find(t => t.type === step.type).deterministic);
+
+    if (typeof adapter.estimate === 'function') {
+      try {
+        const estimate = await adapter.estimate(step, context);
+        if (estimate != null) entry.estimate = estimate;
+      } catch (error) {
+        entry.estimate = { error: error.message };
+      }
+    }
+
+    return entry;
+  }
+
+  async _run(workflowJson, { inputs = {}, resumedFrom = null, receipts: previous = [], traceparent = null }) {
+    // Parse workflow, check every step's params and validate the inputs
+    // before anything runs
+    const { workflow, dag, executionOrder, migrations } = Parser.parse(workflowJson);
+    const warnings = this.validateWorkflow(workflow);
+    const resolvedInputs = Inputs.resolve(workflow, inputs);
+    const workflowHash = await Parser.hash(workflow);
+    const inputsHash = await RunBundle.hashInputs(resolvedInputs);
+    // Versions as of this run, not whatever is registered at export time
+    const adapters = this._adapterVersions(workflow.steps);
+
+    // Reload persisted receipts before extending the chain
+    await this.receiptStore.load();
+
+    // Create execution context
+    const context = new ExecutionContext(workflow);
+    const runId = this._generateRunId();
+    context.runId = runId;
+    context.inputs = resolvedInputs;
+    this._seedFromReceipts(context, previous);
+    this.runs.set(runId, context);
+
+    const results = {
+      workflow_id: workflow.workflow,
+      workflow_hash: workflowHash,
+      run_id: runId,
+      status: 'running',
+      inputs: resolvedInputs,
+      inputs_hash: inputsHash,
+      adapters,
+      steps: [],
+      receipts: [],
+      execution_metadata: {
+        start_time: new Date().toISOString()
+      }
+    };
+    if (resumedFrom) {
+      results.resumed_from = resumedFrom;
+    }
+    if (migrations.length > 0) {
+      results.migrated_from = migrations[0].from;
+    }
+    if (warnings.length > 0) {
+      results.diagnostics = warnings;
+    }
+
+    try {
+      await this.receiptStore.startRun(runId, {
+        workflow,
+        workflow_hash: workflowHash,
+        inputs: resolvedInputs,
+        inputs_hash: inputsHash,
+        adapters,
+        ...(resumedFrom ? { resumed_from: resumedFrom } : {})
+      });
+      this.emit('run:start', {
+        run_id: runId,
+        workflow_id: workflow.workflow,
+        workflow_hash: workflowHash,
+        inputs: resolvedInputs,
+        ...(resumedFrom ? { resumed_from: resumedFrom } : {}),
+        ...(traceparent ? { traceparent } : {})
+      });
+
+      const limiter = new ConcurrencyLimiter(
+        workflow.max_concurrency ?? this.options.max_concurrency ?? Infinity,
+        { ...this.options.adapter_concurrency, ...workflow.adapter_concurrency }
+      );
+
+      const reused = new Set(context.preCompleted.keys());
+      const { failure, cancelled } = await this._runGraph(dag, executionOrder, context, limiter, async (receipts) => {
+        // Store every receipt: retried attempts and foreach children included
+        for (const receipt of receipts) {
+          await this._commitReceipt(receipt, runId);
+        }
+
+        // Summarise each step once, from its last receipt
+        receipts.forEach((receipt, idx) => {
+          const later = receipts.slice(idx + 1);
+          if (later.some(r => r.step_id === receipt.step_id)) return;
+
+          results.steps.push({
+            step_id: receipt.step_id,
+            status: receipt.status,
+            latency_ms: receipt.execution_metadata.latency_ms,
+            attempts: receipts.filter(r => r.step_id === receipt.step_id).length,
+            ...(reused.has(receipt.step_id) ? { reused: true } : {})
+          });
+        });
+      });
+
+      if (cancelled) {
+        results.status = 'cancelled';
+        if (failure) results.failed_step = failure.step_id;
+        results.error = { code: 'CANCELLED', message: context.signal.reason.message, retryable: false };
+      } else if (failure) {
+        results.status = 'failed';
+        results.failed_step = failure.step_id;
+        results.error = failure.error;
+      }
+
+      if (results.status === 'running') {
+        results.status = 'success';
+      }
+
+      results.receipts = this.receiptStore.getRunReceipts(runId);
+      results.merkle_root = this.receiptStore.getMerkleRoot(runId);
+      results.log_size = this.receiptStore.getLogSize();
+      results.log_root = this.receiptStore.getMerkleRoot();
+      results.execution_metadata.end_time = new Date().toISOString();
+      results.execution_metadata.duration_ms = context.getDuration();
+      const summary = this._runSummary(results);
+      if (this.signer) {
+        results.signature = await this.signer.sign(summary);
+      }
+      await this.receiptStore.endRun(runId, results.status, {
+        summary,
+        ...(results.signature ? { signature: results.signature } : {})
+      });
+      this.emit('run:end', { run_id: runId, workflow_id: workflow.workflow, status: results.status, result: results });
+
+      return results;
+
+    } catch (error) {
+      results.status = 'failed';
+      results.error = {
+        code: 'ENGINE_ERROR',
+        message: error.message,
+        stack: error.stack
+      };
+      await this.receiptStore.endRun(runId, results.status).catch(() => {});
+      results.execution_metadata.end_time = new Date().toISOString();
+      results.execution_metadata.duration_ms = context.getDuration();
+      this.emit('run:end', { run_id: runId, workflow_id: workflow.workflow, status: results.status, result: results });
+
+      return results;
+    } finally {
+      this.runs.delete(runId);
+    }
+  }
+
+  /**
+   * Cancel an in-flight run (or a workflow_call child run). Running steps
+   * see their `context.signal` abort and are recorded with a CANCELLED
+   * error; no further steps start and the run ends with status
+   * `cancelled`, from which it can be resumed. Returns false if the run is
+   * not in flight.
+   */
+  cancel(runId, reason = 'Run cancelled') {
+    const context = this.runs.get(runId);
+    return context ? context.cancel(reason) : false;
+  }
+
+  /**
+   * Check every step of a parsed workflow against its adapter manifest,
+   * foreach templates included, and its references (see
+   * `Parser.checkReferences`); throw one error listing all problems. Each
+   * entry has the step ID, a JSON pointer into the workflow and a message.
+   * With `checkCalls`, workflow_call targets must be registered.
+   *
+   * Returns the reference warnings.
+   */
+  validateWorkflow(workflow, { checkCalls = true } = {}) {
+    const errors = [];
+    const refHeads = new Set(['inputs', 'item', 'index', ...workflow.steps.map(s => s.id)]);
+    this._collectTemplateIds(workflow.steps, refHeads);
+
+    // `=expr` values are only known at run time; `${...}` templates always
+    // render to strings and are checked as such
+    const isReference = value => typeof value === 'string' &&
+      (value.startsWith('=') ||
+        (value.startsWith('$') && refHeads.has(value.substring(1).split('.')[0])));
+
+    this._validateSteps(workflow.steps, '/steps', { isReference, checkCalls }, errors);
+
+    const diagnostics = Parser.checkReferences(workflow, this.scheduler);
+    for (const { severity, ...diagnostic } of diagnostics.filter(d => d.severity === 'error')) {
+      errors.push(diagnostic);
+    }
+
+    if (errors.length > 0) {
+      const error = new Error(`Invalid workflow: ${JSON.stringify(errors)}`);
+      error.errors = errors;
+      throw error;
+    }
+
+    return diagnostics.filter(d => d.severity === 'warning');
+  }
+
+  _collectTemplateIds(steps, ids) {
+    for (const step of steps) {
+      if (step.type !== 'foreach' || !step.params) continue;
+      for (const template of step.params.steps || []) {
+        ids.add(template.id);
+      }
+      this._collectTemplateIds(step.params.steps || [], ids);
+    }
+  }
+
+  _containsReference(value, isReference) {
+    if (isReference(value)) return true;
+    if (value && typeof value === 'object') {
+      return Object.values(value).some(v => this._containsReference(v, isReference));
+    }
+    return false;
+  }
+
+  _validateSteps(steps, basePath, options, errors) {
+    steps.forEach((step, idx) => this._validateStep(step, `${basePath}/${idx}`, options, errors));
+  }
+
+  _validateStep(step, stepPath, options, errors) {
+    if (step.type !== 'foreach' && step.type !== 'workflow_call' &&
+        !this.scheduler.stepTypeToAdapter.has(step.type)) {
+      errors.push({
+        step_id: step.id,
+        path: `${stepPath}/type`,
+        message: `No adapter found for step type: ${step.type}`
+      });
+      return;
+    }
+
+    const resourceCheck = this.scheduler.checkResources(step);
+    if (!resourceCheck.available) {
+      errors.push({
+        step_id: step.id,
+        path: `${stepPath}/resource_requirements/${resourceCheck.resource}`,
+        message: resourceCheck.reason
+      });
+    }
+
+    const paramErrors = this.scheduler.validateParams(step, options.isReference);
+    for (const error of paramErrors) {
+      errors.push({
+        step_id: step.id,
+        path: `${stepPath}/params${error.path}`,
+        message: error.message
+      });
+    }
+
+    // The adapter's own checks see values, not references, so they run
+    // here only for steps whose params are all literal
+    if (step.type !== 'foreach' && step.type !== 'workflow_call' && paramErrors.length === 0 &&
+        !this._containsReference(step.params, options.isReference)) {
+      const validation = this.scheduler.getAdapterForStep(step).validate(step);
+      if (!validation.valid) {
+        errors.push({ step_id: step.id, path: `${stepPath}/params`, message: validation.error });
+      }
+    }
+
+    const params = step.params || {};
+    if (step.type === 'foreach') {
+      if (Array.isArray(params.steps)) {
+        this._validateSteps(params.steps, `${stepPath}/params/steps`, options, errors);
+      } else if (params.step && typeof params.step === 'object') {
+        this._validateStep({ id: step.id, ...params.step }, `${stepPath}/params/step`, options, errors);
+      }
+    }
+
+    if (options.checkCalls && step.type === 'workflow_call' && (params.workflow || params.hash) &&
+        !this.workflows.has(params.hash || params.workflow)) {
+      errors.push({
+        step_id: step.id,
+        path: `${stepPath}/params/${params.hash ? 'hash' : 'workflow'}`,
+        message: `Workflow not registered: ${params.hash || params.workflow}`
+      });
     }
+  }
 
-    // Validate receipt
-    const receiptValidation = JSONSchemaValidator.validate(receipt, ReceiptSchema);
-    if (!receiptValidation.valid) {
-      throw new Error(`Invalid receipt: ${JSON.stringify(receiptValidation.errors)}`);
+  /**
+   * Sign (when a signer is configured) and store a receipt. Receipts reused
+   * by a resumed run keep their original signature.
+   */
+  async _commitReceipt(receipt, runId) {
+    if (this.signer && !receipt.signature) {
+      receipt.signature = await this.signer.sign(receipt);
     }
-
-    return receipt;
+    const stored = await this.receiptStore.store(receipt, runId);
+    this.emit('step:receipt', { run_id: runId, step_id: stored.step_id, receipt: stored });
+    return stored;
   }
 
   /**
-   * Execute with timeout
+   * Register step middleware: `{ beforeStep(step, context), afterStep(step,
+   * receipt, context) }`, both optional and possibly async. They run around
+   * every attempt with the step's params resolved. A beforeStep that throws
+   * rejects the attempt with an error receipt (code `HOOK_REJECTED` unless
+   * the error has its own `code`); afterStep only observes.
    */
-  async _executeWithTimeout(fn, timeoutMs) {
-    return Promise.race([
-      fn(),
-      new Promise((_, reject) =>
-        setTimeout(() => reject(new Error('Execution timeout')), timeoutMs)
-      )
-    ]);
+  use(hooks) {
+    this.executor.hooks.push(hooks);
+    return this;
   }
-}
 
-/**
- * Receipt Store - Persists and retrieves receipts
- */
-class ReceiptStore {
-  constructor() {
-    this.receipts = new Map();
-    this.merkleTree = new MerkleTree();
+  /**
+   * The fields of a run result covered by its signature
+   */
+  _runSummary(result) {
+    return {
+      workflow_id: result.workflow_id,
+      ...(result.workflow_hash ? { workflow_hash: result.workflow_hash } : {}),
+      run_id: result.run_id,
+      status: result.status,
+      ...(result.inputs_hash ? { inputs_hash: result.inputs_hash } : {}),
+      ...(result.adapters ? { adapters: result.adapters } : {}),
+      merkle_root: result.merkle_root,
+      receipt_count: result.receipts.length,
+      ...(result.log_root ? { log_size: result.log_size, log_root: result.log_root } : {}),
+      ...(result.resumed_from ? { resumed_from: result.resumed_from } : {})
+    };
   }
 
   /**
-   * Store a receipt
+   * Verify a run result: every receipt's signature and Merkle leaf, the
+   * run's Merkle root, and the signature over the run summary
    */
-  async store(receipt) {
-    // Set merkle_proof if not already present
-    if (!receipt.merkle_proof) {
-      const leafHash = await this.merkleTree.addLeaf(receipt);
-      receipt.merkle_proof = leafHash;
-    } else {
-      await this.merkleTree.addLeaf(receipt);
+  async verifyRun(result, publicKey, crypto = this.signer?.crypto) {
+    if (!crypto || typeof crypto.verify !== 'function') {
+      throw new Error('verifyRun requires a crypto adapter with verify()');
     }
-    this.receipts.set(receipt.step_id, receipt);
-    return receipt;
+
+    const tree = new MerkleTree();
+    const receipts = [];
+    for (const receipt of result.receipts) {
+      const signatureValid = await ReceiptSigner.verify(crypto, receipt, publicKey);
+      const leafValid = receipt.merkle_proof === await ReceiptStore.hashReceipt(receipt);
+      const { merkle_proof, ...leaf } = receipt;
+      await tree.addLeaf(leaf);
+
+      receipts.push({
+        step_id: receipt.step_id,
+        valid: signatureValid && leafValid,
+        signature_valid: signatureValid,
+        leaf_valid: leafValid
+      });
+    }
+
+    const merkleRootValid = tree.getRoot() === result.merkle_root;
+    const summaryValid = await ReceiptSigner.verify(
+      crypto,
+      { ...this._runSummary(result), signature: result.signature },
+      publicKey
+    );
+
+    return {
+      valid: summaryValid && merkleRootValid && receipts.every(r => r.valid),
+      summary_valid: summaryValid,
+      merkle_root_valid: merkleRootValid,
+      receipts
+    };
   }
 
   /**
-   * Get a receipt by step ID
+   * Export a finished run as a portable bundle (see RunBundle), including
+   * the bundles of the child runs its workflow_call steps started
    */
-  get(stepId) {
-    return this.receipts.get(stepId);
+  async exportRun(runId) {
+    await this.receiptStore.load();
+
+    const run = this.receiptStore.getRun(runId);
+    if (!run || !run.workflow) {
+      throw new Error(`Unknown run: ${runId}`);
+    }
+    if (run.status === 'running' || this.runs.has(runId)) {
+      throw new Error(`Run ${runId} is still running`);
+    }
+
+    // Child runs have no stored summary: they are covered by their caller's
+    // receipt rather than signed on their own
+    const summary = run.summary || {
+      workflow_id: run.workflow.workflow,
+      workflow_hash: run.workflow_hash || await Parser.hash(run.workflow),
+      run_id: runId,
+      status: run.status,
+      ...(run.inputs_hash ? { inputs_hash: run.inputs_hash } : {}),
+      ...(run.adapters ? { adapters: run.adapters } : {}),
+      merkle_root: this.receiptStore.getMerkleRoot(runId),
+      receipt_count: run.receipts.length,
+      ...(run.resumed_from ? { resumed_from: run.resumed_from } : {})
+    };
+
+    const proofs = [];
+    for (let i = 0; i < run.receipts.length; i++) {
+      proofs.push(await this.receiptStore.getRunProof(runId, i));
+    }
+
+    const children = [];
+    for (const receipt of run.receipts) {
+      const childRunId = receipt.output?.run_id;
+      if (childRunId && this.receiptStore.getRun(childRunId)) {
+        children.push(await this.exportRun(childRunId));
+      }
+    }
+
+    return {
+      format: RunBundle.FORMAT,
+      version: RunBundle.VERSION,
+      exported_at: new Date().toISOString(),
+      run: summary,
+      ...(run.signature ? { signature: run.signature } : {}),
+      workflow: run.workflow,
+      inputs: run.inputs,
+      receipts: run.receipts,
+      proofs,
+      adapters: run.adapters || {},
+      ...(run.parent_run_id ? { parent_run_id: run.parent_run_id } : {}),
+      children
+    };
   }
 
   /**
-   * Get all receipts
+   * Verify a bundle from exportRun, offline (see RunBundle.verify)
    */
-  getAll() {
-    return Array.from(this.receipts.values());
+  async verifyBundle(bundle, publicKey = null, crypto = this.signer?.crypto) {
+    return RunBundle.verify(bundle, publicKey, crypto);
   }
 
   /**
-   * Get Merkle root
+   * Versions of the adapters that run a workflow's step types, foreach
+   * templates included. Recorded when a run starts.
    */
-  getMerkleRoot() {
-    return this.merkleTree.getRoot();
+  _adapterVersions(steps, versions = {}) {
+    for (const step of steps) {
+      if (step.type === 'foreach') {
+        this._adapterVersions(step.params?.steps || [step.params?.step].filter(Boolean), versions);
+        continue;
+      }
+      if (!this.scheduler.stepTypeToAdapter.has(step.type)) continue;
+
+      const manifest = this.scheduler.getAdapterForStep(step).getManifest();
+      versions[manifest.adapter_id] = manifest.version;
+    }
+    return versions;
   }
 
   /**
-   * Get Merkle proof for a step
+   * Run a DAG, launching every ready step as soon as its parents complete.
+   * Each step's attempt receipts are committed together, in topological
+   * order, so the Merkle tree does not depend on which of the concurrently
+   * running steps finishes first.
    */
-  getMerkleProof(stepId) {
-    const receipt = this.receipts.get(stepId);
-    if (!receipt) return null;
+  async _runGraph(dag, executionOrder, context, limiter, commit) {
+    const resources = this.scheduler.resources;
+    const cancelled = new Promise(resolve => {
+      if (context.signal.aborted) resolve(null);
+      else context.signal.addEventListener('abort', () => resolve(null), { once: true });
+    });
+    const completed = new Set();
+    const skipped = new Set();
+    const launched = new Set();
+    const announced = new Set();
+    const running = new Map();
+    const finished = new Map();
+    let cursor = 0;
+    let failure = null;
+    let engineError = null;
+
+    // Commit finished receipts in execution order, stopping at the first
+    // step still in flight unless the run is draining
+    const flush = async (drain = false) => {
+      while (cursor < executionOrder.length) {
+        const stepId = executionOrder[cursor];
+        if (finished.has(stepId)) {
+          await commit(finished.get(stepId));
+          finished.delete(stepId);
+        } else if (!drain) {
+          break;
+        }
+        cursor++;
+      }
+    };
 
-    const index = this.merkleTree.leaves.findIndex(l => l.hash === receipt.merkle_proof);
-    return this.merkleTree.getProof(index);
+    while (true) {
+      // Launch ready steps until a limit is reached; stop launching once a
+      // step has failed or the run is cancelled and let the in-flight ones
+      // finish. Skipping a step completes it immediately, which may make
+      // further steps ready.
+      let progressed = true;
+      let blocked = false;
+      while (progressed && !failure && !engineError && !context.signal.aborted) {
+        progressed = false;
+        blocked = false;
+
+        for (const stepId of dag.getReadySteps(completed)) {
+          if (launched.has(stepId)) continue;
+          if (!announced.has(stepId)) {
+            announced.add(stepId);
+            this.emit('step:ready', { run_id: context.runId, step_id: stepId });
+          }
+
+          // Steps completed by the run being resumed commit their recorded
+          // receipts instead of executing again
+          const reused = context.preCompleted.get(stepId);
+          if (reused) {
+            const receipt = reused[reused.length - 1];
+            launched.add(stepId);
+            completed.add(stepId);
+            if (receipt.status === 'skipped') skipped.add(stepId);
+            if (receipt.status === 'success' && receipt.output) {
+              context.setStepOutput(stepId, receipt.output);
+            }
+            context.setReceipt(stepId, receipt);
+            finished.set(stepId, reused);
+            progressed = true;
+            continue;
+          }
+
+          const step = dag.steps.get(stepId);
+          const isNested = step.type === 'foreach' || step.type === 'workflow_call';
+          let adapter;
+          let skipReason;
+          try {
+            skipReason = await this._getSkipReason(step, dag, context, skipped);
+          } catch (error) {
+            // A `when` expression that cannot be evaluated fails the step
+            const receipt = {
+              step_id: stepId,
+              status: 'error',
+              error: { code: 'EXPRESSION_ERROR', message: error.message, retryable: false },
+              merkle_proof: 'pending',
+              execution_metadata: { timestamp: new Date().toISOString(), latency_ms: 0 }
+            };
+            launched.add(stepId);
+            context.setReceipt(stepId, receipt);
+            finished.set(stepId, [receipt]);
+            failure = { step_id: stepId, error: receipt.error };
+            break;
+          }
+          try {
+            adapter = skipReason || isNested ? null : this.scheduler.getAdapterForStep(step);
+          } catch (error) {
+            engineError = error;
+            break;
+          }
+
+          if (skipReason) {
+            const receipt = {
+              step_id: stepId,
+              status: 'skipped',
+              skip_reason: skipReason,
+              merkle_proof: 'pending',
+              execution_metadata: { latency_ms: 0 }
+            };
+            launched.add(stepId);
+            skipped.add(stepId);
+            completed.add(stepId);
+            context.setReceipt(stepId, receipt);
+            finished.set(stepId, [receipt]);
+            progressed = true;
+            continue;
+          }
+
+          // Steps that run nested graphs hold no slot themselves; their
+          // children share the limiter
+          if (isNested) {
+            this.emit('step:start', { run_id: context.runId, step_id: stepId, type: step.type, attempt: 1 });
+            const nested = step.type === 'foreach'
+              ? this._executeForeach(step, context, limiter)
+              : this._executeWorkflowCall(step, context, limiter);
+            launched.add(stepId);
+            running.set(stepId, nested
+              .then(receipts => {
+                const receipt = receipts[receipts.length - 1];
+                this.emit('step:end', {
+                  run_id: context.runId,
+                  step_id: stepId,
+                  attempt: 1,
+                  status: receipt.status,
+                  latency_ms: receipt.execution_metadata.latency_ms,
+                  ...(receipt.error ? { error: receipt.error } : {})
+                });
+                return { stepId, receipts };
+              }, error => ({ stepId, error })));
+            continue;
+          }
+
+          // Steps without a free slot or whose resources are taken queue
+          // until a running step releases them. The slot is only checked
+          // before reserving: taking and handing it back would wake every
+          // other graph waiting on the limiter for nothing.
+          const requirements = this.scheduler.getResourceRequirements(step);
+          if (!limiter.available(adapter) || !resources.tryReserve(requirements)) {
+            blocked = true;
+            continue;
+          }
+          limiter.tryAcquire(adapter);
+
+          launched.add(stepId);
+          running.set(stepId, this.executor.executeWithRetry(step, context)
+            .then(receipts => ({ stepId, receipts }), error => ({ stepId, error }))
+            .finally(() => {
+              resources.release(requirements);
+              limiter.release(adapter);
+            }));
+        }
+      }
+
+      await flush();
+
+      if (blocked && running.size === 0 && limiter.active === 0 && resources.reservations === 0) {
+        engineError = engineError || new Error('No concurrency slot or resources can ever be acquired for the ready steps');
+      }
+      if (running.size === 0 && (!blocked || engineError || context.signal.aborted)) break;
+
+      // Wake on our own completions, on a slot or resources freed by
+      // another graph, or on cancellation
+      const next = await Promise.race([
+        ...running.values(),
+        ...(blocked ? [limiter.released().then(() => null), resources.released().then(() => null), cancelled] : [])
+      ]);
+      if (!next) continue;
+
+      const { stepId, receipts, error } = next;
+      running.delete(stepId);
+
+      if (error) {
+        engineError = engineError || error;
+        continue;
+      }
+
+      // The last receipt (final attempt, or the foreach summary that follows
+      // its children) decides the step's outcome
+      const receipt = receipts[receipts.length - 1];
+
+      // Store output in context
+      if (receipt.status === 'success' && receipt.output) {
+        context.setStepOutput(stepId, receipt.output);
+      }
+      context.setReceipt(stepId, receipt);
+      finished.set(stepId, receipts);
+
+      // A step that still fails after its last attempt stops scheduling
+      if (receipt.status === 'error') {
+        failure = failure || { step_id: stepId, error: receipt.error };
+      } else {
+        completed.add(stepId);
+      }
+
+      await flush();
+    }
+
+    await flush(true);
+
+    if (engineError) {
+      throw engineError;
+    }
+
+    return { failure, cancelled: context.signal.aborted };
   }
 
   /**
-   * Verify a receipt's Merkle proof
+   * Execute a foreach step: instantiate its template sub-DAG once per item
+   * with child IDs `templateId[index]`, run the children through the same
+   * scheduler, and collect one result per item in input order.
+   *
+   * Returns the children's receipts followed by the foreach receipt.
    */
-  async verifyReceipt(stepId) {
-    const receipt = this.get(stepId);
-    if (!receipt) return false;
+  async _executeForeach(step, context, limiter) {
+    const startTime = Date.now();
+    const params = step.params || {};
+    const childReceipts = [];
 
-    const proof = this.getMerkleProof(stepId);
-    const root = this.getMerkleRoot();
+    const summarize = (status, output, error) => ({
+      step_id: step.id,
+      status,
+      output,
+      ...(error ? { error } : {}),
+      merkle_proof: 'pending',
+      execution_metadata: {
+        timestamp: new Date().toISOString(),
+        latency_ms: Date.now() - startTime,
+        adapter_version: '1.0.0'
+      }
+    });
 
-    return this.merkleTree.verifyProof(receipt.merkle_proof, proof, root);
-  }
-}
+    if (!params.step && !Array.isArray(params.steps)) {
+      return [summarize('error', undefined, {
+        code: 'FOREACH_ERROR',
+        message: 'foreach requires a step or steps template',
+        retryable: false
+      })];
+    }
 
-// ============================================================================
-// MAIN JSONFLOW ENGINE
-// ============================================================================
+    const templates = params.steps || [{ id: step.id, ...params.step }];
+    const collectId = params.collect || templates[templates.length - 1].id;
 
-class JSONFlowEngine {
-  constructor(adapters = []) {
-    // Initialize with built-in adapters
-    const builtInAdapters = [
-      new MockAdapter(),
-      new TransformAdapter()
-    ];
+    let items;
+    try {
+      items = await context.resolveValue(params.items, step.scope);
+    } catch (error) {
+      return [summarize('error', undefined, {
+        code: 'EXPRESSION_ERROR',
+        message: error.message,
+        retryable: false
+      })];
+    }
+    if (!Array.isArray(items)) {
+      return [summarize('error', undefined, {
+        code: 'FOREACH_ERROR',
+        message: `foreach items must resolve to an array, got ${typeof items}`,
+        retryable: false
+      })];
+    }
+
+    // Child IDs carry the full path of the foreach step, so children of
+    // nested templates stay unique: `outer[0].inner[1].x`
+    const childId = params.steps
+      ? (id, index) => `${step.id}[${index}].${id}`
+      : (id, index) => `${step.id}[${index}]`;
+    const templateIds = new Set(templates.map(t => t.id));
+    const children = [];
+    items.forEach((item, index) => {
+      const aliases = Object.fromEntries([...templateIds].map(id => [id, childId(id, index)]));
+      for (const template of templates) {
+        children.push({
+          ...this._instantiateTemplate(template, item, index, aliases),
+          id: aliases[template.id],
+          parent_step_ids: (template.parent_step_ids || []).map(p => aliases[p]),
+          scope: { item, index, aliases }
+        });
+      }
+    });
+
+    context.addSteps(children);
+    const childDag = new DAG(children);
+    const { failure, cancelled } = await this._runGraph(
+      childDag,
+      childDag.topologicalSort(),
+      context,
+      limiter,
+      async (receipts) => { childReceipts.push(...receipts); }
+    );
+
+    const childStepIds = children.map(c => c.id);
+    if (cancelled) {
+      return [...childReceipts, summarize('error', { child_step_ids: childStepIds }, {
+        code: 'CANCELLED',
+        message: context.signal.reason.message,
+        retryable: false
+      })];
+    }
+    if (failure) {
+      return [...childReceipts, summarize('error', { child_step_ids: childStepIds }, {
+        code: 'FOREACH_ERROR',
+        message: `Child step ${failure.step_id} failed: ${failure.error?.message}`,
+        retryable: false
+      })];
+    }
 
-    this.scheduler = new Scheduler([...builtInAdapters, ...adapters]);
-    this.executor = new Executor(this.scheduler);
-    this.receiptStore = new ReceiptStore();
+    const results = items.map((_, index) => {
+      const output = context.getStepOutput(childId(collectId, index));
+      return output === undefined ? null : output;
+    });
+
+    return [...childReceipts, summarize('success', {
+      results,
+      count: results.length,
+      child_step_ids: childStepIds
+    })];
   }
 
   /**
-   * Execute a workflow
+   * Execute a workflow_call step: run a registered workflow as a child run
+   * with its own receipt chain, and record the child's Merkle root and
+   * receipt links in the calling step's receipt.
    */
-  async execute(workflowJson) {
-    // Parse workflow
-    const { workflow, dag, executionOrder } = Parser.parse(workflowJson);
-
-    // Create execution context
-    const context = new ExecutionContext(workflow);
+  async _executeWorkflowCall(step, context, limiter) {
+    const startTime = Date.now();
+    const params = step.params || {};
 
-    // Track completed steps
-    const completedSteps = new Set();
-    const results = {
-      workflow_id: workflow.workflow,
-      status: 'running',
-      steps: [],
-      receipts: [],
+    const summarize = (status, output, error) => ({
+      step_id: step.id,
+      status,
+      output,
+      ...(error ? { error } : {}),
+      merkle_proof: 'pending',
       execution_metadata: {
-        start_time: new Date().toISOString()
+        timestamp: new Date().toISOString(),
+        latency_ms: Date.now() - startTime,
+        adapter_version: '1.0.0'
       }
-    };
+    });
+
+    const entry = this.workflows.get(params.hash || params.workflow);
+    if (!entry) {
+      return [summarize('error', undefined, {
+        code: 'WORKFLOW_CALL_ERROR',
+        message: `Workflow not registered: ${params.hash || params.workflow}`,
+        retryable: false
+      })];
+    }
 
+    if (context.callStack.includes(entry.hash)) {
+      return [summarize('error', undefined, {
+        code: 'WORKFLOW_CALL_ERROR',
+        message: `Recursive call to workflow ${entry.workflow.workflow}`,
+        retryable: false
+      })];
+    }
+
+    const { workflow, dag, executionOrder } = Parser.parse(entry.workflow);
+    let inputs;
     try {
-      // Execute steps in order
-      for (const stepId of executionOrder) {
-        const step = dag.steps.get(stepId);
+      inputs = Inputs.resolve(workflow, await context.resolveParams(params.inputs || {}, step.scope));
+    } catch (error) {
+      return [summarize('error', undefined, {
+        code: 'WORKFLOW_CALL_ERROR',
+        message: error.message,
+        retryable: false
+      })];
+    }
 
-        // Execute step
-        const receipt = await this.executor.executeStep(step, context);
+    const inputsHash = await RunBundle.hashInputs(inputs);
+    const adapters = this._adapterVersions(workflow.steps);
 
-        // Store receipt
-        await this.receiptStore.store(receipt);
+    const childContext = new ExecutionContext(workflow);
+    childContext.callStack = [...context.callStack, entry.hash];
+    childContext.inputs = inputs;
+    const runId = this._generateRunId();
+    childContext.runId = runId;
 
-        // Store output in context
-        if (receipt.status === 'success' && receipt.output) {
-          context.setStepOutput(stepId, receipt.output);
-        }
+    // When resuming, pick the failed child run up where it stopped
+    const previousRunId = context.previousReceipts.get(step.id)?.output?.run_id;
+    if (previousRunId) {
+      this._seedFromReceipts(childContext, this.receiptStore.getRunReceipts(previousRunId));
+    }
 
-        // Track completion
-        completedSteps.add(stepId);
-        context.setReceipt(stepId, receipt);
+    await this.receiptStore.startRun(runId, {
+      workflow,
+      workflow_hash: entry.hash,
+      inputs,
+      inputs_hash: inputsHash,
+      adapters,
+      parent_run_id: context.runId,
+      ...(previousRunId ? { resumed_from: previousRunId } : {})
+    });
 
-        results.steps.push({
-          step_id: stepId,
-          status: receipt.status,
-          latency_ms: receipt.execution_metadata.latency_ms
-        });
+    this.emit('run:start', {
+      run_id: runId,
+      workflow_id: workflow.workflow,
+      workflow_hash: entry.hash,
+      inputs,
+      parent_run_id: context.runId,
+      parent_step_id: step.id,
+      ...(previousRunId ? { resumed_from: previousRunId } : {})
+    });
 
-        // If step failed and not retryable, stop execution
-        if (receipt.status === 'error' && receipt.error && !receipt.error.retryable) {
-          results.status = 'failed';
-          results.failed_step = stepId;
-          results.error = receipt.error;
-          break;
+    // Cancelling the parent cancels the child
+    const cancelChild = () => childContext.cancel(context.signal.reason.message);
+    context.signal.addEventListener('abort', cancelChild);
+    if (context.signal.aborted) cancelChild();
+    this.runs.set(runId, childContext);
+
+    let failure;
+    let cancelled;
+    try {
+      ({ failure, cancelled } = await this._runGraph(dag, executionOrder, childContext, limiter, async (receipts) => {
+        for (const receipt of receipts) {
+          await this._commitReceipt(receipt, runId);
         }
+      }));
+    } finally {
+      context.signal.removeEventListener('abort', cancelChild);
+      this.runs.delete(runId);
+    }
+    const status = cancelled ? 'cancelled' : (failure ? 'failed' : 'success');
+    await this.receiptStore.endRun(runId, status);
+    this.emit('run:end', { run_id: runId, workflow_id: workflow.workflow, status, parent_run_id: context.runId });
+
+    const output = {
+      workflow: workflow.workflow,
+      workflow_hash: entry.hash,
+      run_id: runId,
+      status,
+      inputs_hash: inputsHash,
+      adapters,
+      merkle_root: this.receiptStore.getMerkleRoot(runId),
+      child_receipts: this.receiptStore.getRunReceipts(runId).map(r => ({
+        step_id: r.step_id,
+        status: r.status,
+        merkle_proof: r.merkle_proof
+      })),
+      outputs: Object.fromEntries(childContext.stepOutputs)
+    };
+
+    if (cancelled) {
+      return [summarize('error', output, {
+        code: 'CANCELLED',
+        message: childContext.signal.reason.message,
+        retryable: false
+      })];
+    }
+    if (failure) {
+      return [summarize('error', output, {
+        code: 'WORKFLOW_CALL_ERROR',
+        message: `Child step ${failure.step_id} failed: ${failure.error?.message}`,
+        retryable: false
+      })];
+    }
+
+    return [summarize('success', output)];
+  }
+
+  /**
+   * Prepare a context to resume from a previous run's receipts. Every step
+   * whose final receipt is a success or skip is reused with all of its
+   * receipts (retried attempts, and for foreach the children's receipts).
+   */
+  _seedFromReceipts(context, receipts) {
+    const byStep = new Map();
+    for (const receipt of receipts) {
+      if (!byStep.has(receipt.step_id)) byStep.set(receipt.step_id, []);
+      byStep.get(receipt.step_id).push({ ...receipt });
+    }
+
+    for (const [stepId, stepReceipts] of byStep) {
+      const last = stepReceipts[stepReceipts.length - 1];
+      context.previousReceipts.set(stepId, last);
+      if (last.status !== 'success' && last.status !== 'skipped') continue;
+
+      // A foreach step's descendants, nested foreach children included,
+      // all have IDs under `stepId[`
+      const children = Array.isArray(last.output?.child_step_ids)
+        ? receipts.filter(r => r.step_id.startsWith(`${stepId}[`)).map(r => ({ ...r }))
+        : [];
+      context.preCompleted.set(stepId, [...children, ...stepReceipts]);
+    }
+  }
+
+  /**
+   * Generate a unique run ID
+   */
+  _generateRunId() {
+    const bytes = Array.from(CryptoUtils.randomBytes(8));
+    return `run-${bytes.map(b => b.toString(16).padStart(2, '0')).join('')}`;
+  }
+
+  /**
+   * Substitute `$item`, `$index` and sibling references into a template.
+   * Expressions are left as written and see the same names through the
+   * child's `scope`.
+   */
+  _instantiateTemplate(template, item, index, aliases) {
+    const substitute = (value) => {
+      if (Array.isArray(value)) return value.map(substitute);
+      if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, substitute(v)]));
       }
+      if (typeof value !== 'string' || !value.startsWith('$') || Expression.isDynamic(value)) return value;
 
-      if (results.status === 'running') {
-        results.status = 'success';
+      const [head, ...path] = value.substring(1).split('.');
+      if (head === 'index' && path.length === 0) return index;
+      if (head === 'item') {
+        return path.reduce((acc, key) => (acc === undefined || acc === null ? undefined : acc[key]), item);
       }
+      if (Object.prototype.hasOwnProperty.call(aliases, head)) {
+        return [`$${aliases[head]}`, ...path].join('.');
+      }
+      return value;
+    };
 
-      results.receipts = this.receiptStore.getAll();
-      results.merkle_root = this.receiptStore.getMerkleRoot();
-      results.execution_metadata.end_time = new Date().toISOString();
-      results.execution_metadata.duration_ms = context.getDuration();
+    const { id, parent_step_ids, ...rest } = template;
+    return substitute(rest);
+  }
 
-      return results;
+  /**
+   * Decide whether a ready step should be skipped rather than executed.
+   * Skipped receipts carry no timestamp so they hash deterministically.
+   */
+  async _getSkipReason(step, dag, context, skipped) {
+    const parents = step.parent_step_ids || [];
 
-    } catch (error) {
-      results.status = 'failed';
-      results.error = {
-        code: 'ENGINE_ERROR',
-        message: error.message,
-        stack: error.stack
-      };
-      results.execution_metadata.end_time = new Date().toISOString();
-      results.execution_metadata.duration_ms = context.getDuration();
+    if (parents.length > 0 && parents.every(p => skipped.has(p))) {
+      return 'parents_skipped';
+    }
 
-      return results;
+    for (const parentId of parents) {
+      const parent = dag.steps.get(parentId);
+      if (!['switch', 'branch'].includes(parent.type)) continue;
+
+      const decision = context.getStepOutput(parentId);
+      if (decision && decision.not_taken.includes(step.id)) {
+        return 'branch_not_taken';
+      }
+    }
+
+    if (step.when !== undefined && !(await Condition.evaluate(step.when, context, step.scope))) {
+      return 'condition_false';
     }
+
+    return null;
   }
 
   /**
-   * Replay a workflow from receipts
+   * Replay a workflow from receipts.
+   *
+   * Without a workflow, only checks each receipt against the local store.
+   * With `options.workflow`, re-executes every deterministic step with its
+   * recorded inputs and compares the output hash with the recorded one.
+   * Downstream steps always see the recorded outputs, so a divergence is
+   * reported at the step that caused it. Steps whose adapter does not
+   * declare `deterministic: true` are only re-executed with
+   * `options.include_nondeterministic`, since that repeats side effects.
    */
-  async replay(receipts) {
+  async replay(receipts, options = {}) {
+    if (options.workflow) {
+      return this._replayExecute(receipts, options);
+    }
+
+    await this.receiptStore.load();
+
     // Verify all receipts
     const verified = [];
     for (const receipt of receipts) {
@@ -1069,6 +5592,180 @@ class JSONFlowEngine {
     };
   }
 
+  async _replayExecute(receipts, options) {
+    const { workflow } = Parser.parse(options.workflow);
+    const context = new ExecutionContext(workflow);
+
+    // The last receipt of each step is its outcome; retried attempts and
+    // the order of the bundle are otherwise irrelevant
+    const finalReceipts = new Map();
+    for (const receipt of receipts) {
+      finalReceipts.set(receipt.step_id, receipt);
+    }
+
+    context.addSteps([...finalReceipts.keys()].map(id => ({ id })));
+    for (const [stepId, receipt] of finalReceipts) {
+      if (receipt.status === 'success' && receipt.output) {
+        context.setStepOutput(stepId, receipt.output);
+      }
+    }
+
+    const steps = [];
+    for (const [stepId, recorded] of finalReceipts) {
+      const report = {
+        step_id: stepId,
+        status: 'skipped',
+        leaf_verified: recorded.merkle_proof === await ReceiptStore.hashReceipt(recorded),
+        deterministic: false,
+        recorded_hash: await this._hashOutput(recorded),
+        replayed_hash: null
+      };
+      steps.push(report);
+
+      const definition = this._findStepDefinition(workflow, stepId);
+      if (!definition) {
+        report.reason = 'step_not_in_workflow';
+        continue;
+      }
+      if (recorded.status === 'skipped') {
+        report.reason = 'skipped_in_run';
+        continue;
+      }
+      if (definition.type === 'foreach' || definition.type === 'workflow_call') {
+        // Their outputs are assembled from child receipts, replayed separately
+        report.reason = 'composite_step';
+        continue;
+      }
+
+      const step = { ...definition, id: stepId, params: recorded.inputs ?? definition.params };
+      let adapter;
+      try {
+        adapter = this.scheduler.getAdapterForStep(step);
+      } catch (error) {
+        report.status = 'error';
+        report.error = error.message;
+        continue;
+      }
+
+      const stepType = adapter.getManifest().step_types.find(t => t.type === step.type);
+      report.deterministic = stepType?.deterministic === true;
+      if (!report.deterministic && !options.include_nondeterministic) {
+        report.reason = 'non_deterministic';
+        continue;
+      }
+
+      // Output fields the step type declares non-deterministic (such as
+      // timestamps) are left out of the comparison
+      const ignored = stepType?.nondeterministic_fields || [];
+      try {
+        const replayed = await this.executor.executeStep(step, context, { resolve: false, hooks: false });
+        report.recorded_hash = await this._hashOutput(recorded, ignored);
+        report.replayed_hash = await this._hashOutput(replayed, ignored);
+        if (report.replayed_hash === report.recorded_hash) {
+          report.status = 'match';
+        } else {
+          report.status = 'diverged';
+          report.differences = this._diff(
+            { status: recorded.status, output: this._omitFields(recorded.output, ignored), error: recorded.error?.code },
+            { status: replayed.status, output: this._omitFields(replayed.output, ignored), error: replayed.error?.code }
+          );
+        }
+      } catch (error) {
+        report.status = 'error';
+        report.error = error.message;
+      }
+    }
+
+    const count = status => steps.filter(r => r.status === status).length;
+    return {
+      status: 'replayed',
+      workflow_id: workflow.workflow,
+      deterministic: count('diverged') === 0 && count('error') === 0,
+      summary: {
+        match: count('match'),
+        diverged: count('diverged'),
+        error: count('error'),
+        skipped: count('skipped')
+      },
+      steps
+    };
+  }
+
+  /**
+   * Hash of a receipt's outcome: status, output without the `ignored`
+   * fields, and error code
+   */
+  async _hashOutput(receipt, ignored = []) {
+    return CryptoUtils.createHash('sha256', canonicalize({
+      status: receipt.status,
+      output: this._omitFields(receipt.output, ignored),
+      error: receipt.error?.code
+    }));
+  }
+
+  /**
+   * Copy of an output without the given dotted paths
+   */
+  _omitFields(output, fields) {
+    if (fields.length === 0 || output === null || typeof output !== 'object') return output;
+
+    const copy = JSON.parse(JSON.stringify(output));
+    for (const field of fields) {
+      const path = field.split('.');
+      const key = path.pop();
+      const parent = path.reduce((acc, k) => (acc && typeof acc === 'object' ? acc[k] : undefined), copy);
+      if (parent && typeof parent === 'object') delete parent[key];
+    }
+    return copy;
+  }
+
+  /**
+   * Find the definition of a step, including foreach children
+   * (`each[2]`, `outer[0].inner[1].x`)
+   */
+  _findStepDefinition(workflow, stepId) {
+    let steps = workflow.steps;
+    let rest = stepId;
+    for (;;) {
+      const direct = steps.find(s => s.id === rest);
+      if (direct) return direct;
+
+      const step = steps.find(s => s.type === 'foreach' && s.params && rest.startsWith(`${s.id}[`));
+      const match = step && rest.substring(step.id.length).match(/^\[\d+\](.*)$/);
+      if (!match) return null;
+
+      if (step.params.steps) {
+        if (!match[1].startsWith('.')) return null;
+        steps = step.params.steps;
+        rest = match[1].substring(1);
+      } else if (step.params.step) {
+        steps = [{ id: step.id, ...step.params.step }];
+        rest = step.id + match[1];
+      } else {
+        return null;
+      }
+    }
+  }
+
+  /**
+   * List the JSON paths at which two values differ
+   */
+  _diff(recorded, replayed, path = '', differences = []) {
+    const isObject = v => v !== null && typeof v === 'object';
+
+    if (isObject(recorded) && isObject(replayed) &&
+        Array.isArray(recorded) === Array.isArray(replayed)) {
+      const keys = new Set([...Object.keys(recorded), ...Object.keys(replayed)]);
+      for (const key of keys) {
+        this._diff(recorded[key], replayed[key], `${path}/${key}`, differences);
+      }
+    } else if (canonicalize(recorded) !== canonicalize(replayed)) {
+      differences.push({ path: path || '/', recorded, replayed });
+    }
+
+    return differences;
+  }
+
   /**
    * Get execution statistics
    */
@@ -1080,8 +5777,10 @@ class JSONFlowEngine {
       successful: receipts.filter(r => r.status === 'success').length,
       failed: receipts.filter(r => r.status === 'error').length,
       degraded: receipts.filter(r => r.status === 'degraded').length,
+      skipped: receipts.filter(r => r.status === 'skipped').length,
       avg_latency_ms: receipts.reduce((sum, r) => sum + (r.execution_metadata?.latency_ms || 0), 0) / receipts.length,
-      merkle_root: this.receiptStore.getMerkleRoot()
+      merkle_root: this.receiptStore.getMerkleRoot(),
+      resources: this.scheduler.resources.snapshot()
     };
   }
 
@@ -1129,15 +5828,29 @@ if (typeof module !== 'undefined' && module.exports) {
     Adapter,
     MockAdapter,
     TransformAdapter,
+    ControlAdapter,
+    Condition,
+    Expression,
+    Emitter,
+    Inputs,
     Parser,
+    Migrations,
     Scheduler,
     Executor,
     ReceiptStore,
+    MemoryReceiptStorage,
+    FileReceiptStorage,
+    IndexedDBReceiptStorage,
+    ReceiptSigner,
+    RunBundle,
     ExecutionContext,
+    ConcurrencyLimiter,
+    ResourcePool,
     DAG,
     MerkleTree,
     JSONSchemaValidator,
-    CryptoUtils
+    CryptoUtils,
+    canonicalize
   };
 } else if (typeof window !== 'undefined') {
   // Browser
@@ -1146,14 +5859,28 @@ if (typeof module !== 'undefined' && module.exports) {
     Adapter,
     MockAdapter,
     TransformAdapter,
+    ControlAdapter,
+    Condition,
+    Expression,
+    Emitter,
+    Inputs,
     Parser,
+    Migrations,
     Scheduler,
     Executor,
     ReceiptStore,
+    MemoryReceiptStorage,
+    FileReceiptStorage,
+    IndexedDBReceiptStorage,
+    ReceiptSigner,
+    RunBundle,
     ExecutionContext,
+    ConcurrencyLimiter,
+    ResourcePool,
     DAG,
     MerkleTree,
     JSONSchemaValidator,
-    CryptoUtils
+    CryptoUtils,
+    canonicalize
   };
 }
@@ -0,0 +1,651 @@
+/**
+ * JSONFlow Telemetry
+ * Trace spans and metrics for runs and steps, exported as OTLP/JSON or
+ * Prometheus text without an external collector
+ */
+
+// Import engine utilities
+let CryptoUtils;
+if (typeof require !== 'undefined') {
+  const JSONFlow = require('./jsonflow-engine.js');
+  CryptoUtils = JSONFlow.CryptoUtils;
+} else {
+  CryptoUtils = window.JSONFlow.CryptoUtils;
+}
+
+const isNode = typeof process !== 'undefined' && process.versions != null && process.versions.node != null;
+
+// Wall-clock milliseconds with sub-millisecond resolution where available
+const now = () => (typeof performance !== 'undefined' && performance.timeOrigin
+  ? performance.timeOrigin + performance.now()
+  : Date.now());
+
+const toUnixNano = (ms) => String(BigInt(Math.round(ms * 1e6)));
+
+// ============================================================================
+// TRACE CONTEXT
+// ============================================================================
+
+/**
+ * TraceContext - W3C `traceparent` headers (version 00)
+ */
+class TraceContext {
+  /**
+   * Parse a header into `{trace_id, span_id, flags}`; null if it is invalid
+   */
+  static parse(header) {
+    if (typeof header !== 'string') return null;
+
+    const match = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/.exec(header.trim());
+    if (!match || match[1] === 'ff' || /^0+$/.test(match[2]) || /^0+$/.test(match[3])) {
+      return null;
+    }
+    return { trace_id: match[2], span_id: match[3], flags: match[4] };
+  }
+
+  static format({ trace_id, span_id, flags = '01' }) {
+    return `00-${trace_id}-${span_id}-${flags}`;
+  }
+
+  static randomId(bytes) {
+    return Array.from(CryptoUtils.randomBytes(bytes), b => b.toString(16).padStart(2, '0')).join('');
+  }
+}
+
+// ============================================================================
+// SPANS
+// ============================================================================
+
+class Span {
+  constructor(name, { trace_id, parent_span_id = null, kind = 'internal', attributes = {} }) {
+    this.name = name;
+    this.trace_id = trace_id;
+    this.span_id = TraceContext.randomId(8);
+    this.parent_span_id = parent_span_id;
+    this.kind = kind;
+    this.attributes = { ...attributes };
+    this.events = [];
+    this.status = { code: 'unset' };
+    this.start_time = now();
+    this.end_time = null;
+  }
+
+  /**
+   * Header that makes a remote operation a child of this span
+   */
+  get traceparent() {
+    return TraceContext.format(this);
+  }
+
+  setAttributes(attributes) {
+    Object.assign(this.attributes, attributes);
+    return this;
+  }
+
+  addEvent(name, attributes = {}) {
+    this.events.push({ name, time: now(), attributes });
+    return this;
+  }
+}
+
+// ============================================================================
+// TELEMETRY
+// ============================================================================
+
+/**
+ * Telemetry - Collects spans and metrics.
+ *
+ * `instrument(engine)` turns a JSONFlowEngine's lifecycle events into one
+ * span per run and one per step attempt, nested under the calling step for
+ * workflow_call runs, plus the metrics in `Telemetry.definitions`. Finished
+ * spans are kept until `flush()` hands them to the exporters; that happens
+ * after each top-level run when exporters are configured. Spans an exporter
+ * failed to take are offered to that exporter again on the next flush.
+ */
+class Telemetry {
+  constructor(options = {}) {
+    this.serviceName = options.service_name || 'jsonflow';
+    this.exporters = options.exporters || [];
+    this.buckets = options.buckets || Telemetry.defaultBuckets;
+    this.maxSpans = options.max_spans ?? 10000;
+    this.startTime = now();
+    this.spans = [];
+    this.undelivered = new Map();
+    this.runs = new Map();
+    this.metrics = new Map();
+    this.collectors = [];
+
+    for (const [name, definition] of Object.entries(Telemetry.definitions)) {
+      this.define(name, definition.type, definition.help);
+    }
+  }
+
+  // --------------------------------------------------------------------------
+  // Tracing
+  // --------------------------------------------------------------------------
+
+  /**
+   * Start a span under a local parent span or a remote `traceparent`;
+   * with neither it starts a new trace
+   */
+  startSpan(name, { parent = null, traceparent = null, kind = 'internal', attributes = {} } = {}) {
+    const remote = parent ? null : TraceContext.parse(traceparent);
+    return new Span(name, {
+      trace_id: parent?.trace_id || remote?.trace_id || TraceContext.randomId(16),
+      parent_span_id: parent?.span_id || remote?.span_id || null,
+      kind,
+      attributes
+    });
+  }
+
+  /**
+   * End a span with status `ok` or `error` and queue it for export
+   */
+  endSpan(span, status = 'ok', message = undefined) {
+    if (!span || span.end_time !== null) return;
+
+    span.end_time = now();
+    span.status = message ? { code: status, message } : { code: status };
+    this.spans.push(span);
+    if (this.spans.length > this.maxSpans) {
+      this.spans.splice(0, this.spans.length - this.maxSpans);
+    }
+  }
+
+  /**
+   * `traceparent` of an in-flight run, or of the current attempt of one
+   * of its steps
+   */
+  traceparent(runId, stepId = null) {
+    const run = this.runs.get(runId);
+    const span = stepId ? run?.steps.get(stepId) : run?.span;
+    return span ? span.traceparent : null;
+  }
+
+  /**
+   * Record runs and steps of a JSONFlowEngine
+   */
+  instrument(engine) {
+    const adapterOf = type => engine.scheduler.stepTypeToAdapter.get(type) || 'engine';
+
+    engine.on('run:start', (event) => {
+      const parentRun = event.parent_run_id ? this.runs.get(event.parent_run_id) : null;
+      const parent = parentRun ? (parentRun.steps.get(event.parent_step_id) || parentRun.span) : null;
+      const span = this.startSpan(`run ${event.workflow_id}`, {
+        parent,
+        traceparent: event.traceparent,
+        kind: !parent && event.traceparent ? 'server' : 'internal',
+        attributes: {
+          'jsonflow.run_id': event.run_id,
+          'jsonflow.workflow': event.workflow_id,
+          ...(event.resumed_from ? { 'jsonflow.resumed_from': event.resumed_from } : {})
+        }
+      });
+      this.runs.set(event.run_id, { span, steps: new Map() });
+    });
+
+    engine.on('step:start', (event) => {
+      const run = this.runs.get(event.run_id);
+      if (!run) return;
+
+      run.steps.set(event.step_id, this.startSpan(`step ${event.step_id}`, {
+        parent: run.span,
+        attributes: {
+          'jsonflow.run_id': event.run_id,
+          'jsonflow.step_id': event.step_id,
+          'jsonflow.step_type': event.type,
+          'jsonflow.adapter': adapterOf(event.type),
+          'jsonflow.attempt': event.attempt
+        }
+      }));
+    });
+
+    engine.on('step:end', (event) => {
+      const span = this.runs.get(event.run_id)?.steps.get(event.step_id);
+      if (!span) return;
+
+      const labels = {
+        adapter: span.attributes['jsonflow.adapter'],
+        type: span.attributes['jsonflow.step_type']
+      };
+      this.counter('jsonflow_steps_total', { ...labels, status: event.status });
+      this.observe('jsonflow_step_duration_ms', labels, event.latency_ms || 0);
+
+      span.setAttributes({ 'jsonflow.status': event.status });
+      if (event.error) {
+        span.setAttributes({ 'jsonflow.error_code': event.error.code });
+      }
+      this.endSpan(span, event.status === 'error' ? 'error' : 'ok', event.error?.message);
+    });
+
+    engine.on('step:retry', (event) => {
+      const run = this.runs.get(event.run_id);
+      const span = run?.steps.get(event.step_id);
+      if (!span) return;
+
+      this.counter('jsonflow_step_retries_total', {
+        adapter: span.attributes['jsonflow.adapter'],
+        type: span.attributes['jsonflow.step_type']
+      });
+      run.span.addEvent('step.retry', {
+        'jsonflow.step_id': event.step_id,
+        'jsonflow.attempt': event.attempt,
+        'jsonflow.delay_ms': event.delay_ms,
+        'jsonflow.error_code': event.error?.code
+      });
+    });
+
+    engine.on('run:end', (event) => {
+      const run = this.runs.get(event.run_id);
+      if (!run) return;
+      this.runs.delete(event.run_id);
+
+      // Attempts the engine abandoned never reported step:end
+      for (const span of run.steps.values()) {
+        this.endSpan(span, 'error', 'Step did not finish');
+      }
+
+      run.span.setAttributes({ 'jsonflow.status': event.status });
+      this.endSpan(run.span, event.status === 'success' ? 'ok' : 'error',
+        event.status === 'success' ? undefined : (event.result?.error?.message || `Run ${event.status}`));
+      this.counter('jsonflow_runs_total', { workflow: event.workflow_id, status: event.status });
+      this.observe('jsonflow_run_duration_ms', { workflow: event.workflow_id }, run.span.end_time - run.span.start_time);
+
+      if (!event.parent_run_id && this.exporters.length > 0) {
+        this.flush().catch(error => console.error('[JSONFlow] Telemetry export failed:', error));
+      }
+    });
+
+    // Pool use is read when metrics are collected
+    this.collect(() => {
+      const snapshot = engine.scheduler.resources.snapshot();
+      return [
+        ...Object.entries(snapshot.in_use).map(([resource, value]) => ({
+          name: 'jsonflow_resource_in_use', labels: { resource }, value
+        })),
+        ...Object.entries(snapshot.capacity)
+          .filter(([, value]) => Number.isFinite(value))
+          .map(([resource, value]) => ({ name: 'jsonflow_resource_capacity', labels: { resource }, value })),
+        { name: 'jsonflow_resource_reservations', labels: {}, value: snapshot.reservations }
+      ];
+    });
+
+    return this;
+  }
+
+  /**
+   * Hand the finished spans and current metrics to every exporter
+   */
+  async flush() {
+    const spans = this.spans;
+    this.spans = [];
+    const errors = [];
+
+    for (const exporter of this.exporters) {
+      const batch = [...(this.undelivered.get(exporter) || []), ...spans].slice(-this.maxSpans);
+      try {
+        await exporter.export(this, batch);
+        this.undelivered.delete(exporter);
+      } catch (error) {
+        // Only this exporter gets the batch again; the others already have it
+        this.undelivered.set(exporter, batch);
+        errors.push(error);
+      }
+    }
+
+    if (errors.length === 1) throw errors[0];
+    if (errors.length > 1) {
+      const error = new Error(`${errors.length} telemetry exporters failed`);
+      error.errors = errors;
+      throw error;
+    }
+  }
+
+  // --------------------------------------------------------------------------
+  // Metrics
+  // --------------------------------------------------------------------------
+
+  /**
+   * Declare a metric: `counter`, `histogram` or `gauge`
+   */
+  define(name, type, help) {
+    if (!this.metrics.has(name)) {
+      this.metrics.set(name, { name, type, help, series: new Map() });
+    }
+    return this;
+  }
+
+  counter(name, labels = {}, value = 1) {
+    const series = this._series(name, 'counter', labels, () => ({ value: 0 }));
+    series.value += value;
+  }
+
+  observe(name, labels = {}, value) {
+    const series = this._series(name, 'histogram', labels, () => ({
+      count: 0,
+      sum: 0,
+      buckets: this.buckets.map(() => 0)
+    }));
+    series.count++;
+    series.sum += value;
+    this.buckets.forEach((bound, idx) => {
+      if (value <= bound) series.buckets[idx]++;
+    });
+  }
+
+  /**
+   * Register a callback returning `{name, labels, value}` gauge readings
+   */
+  collect(collector) {
+    this.collectors.push(collector);
+    return this;
+  }
+
+  _series(name, type, labels, create) {
+    const metric = this.metrics.get(name);
+    if (!metric || metric.type !== type) {
+      throw new Error(`Unknown ${type} metric: ${name}`);
+    }
+
+    const key = Telemetry._labelKey(labels);
+    if (!metric.series.has(key)) {
+      metric.series.set(key, { labels: { ...labels }, ...create() });
+    }
+    return metric.series.get(key);
+  }
+
+  /**
+   * Every metric with its series, gauges read from the collectors
+   */
+  _snapshot() {
+    const metrics = [...this.metrics.values()].map(metric => ({
+      ...metric,
+      series: metric.type === 'gauge' ? new Map() : metric.series
+    }));
+    const byName = new Map(metrics.map(metric => [metric.name, metric]));
+
+    for (const collector of this.collectors) {
+      for (const { name, labels = {}, value } of collector()) {
+        const metric = byName.get(name);
+        if (!metric || metric.type !== 'gauge') {
+          throw new Error(`Unknown gauge metric: ${name}`);
+        }
+        const key = Telemetry._labelKey(labels);
+        const previous = metric.series.get(key)?.value || 0;
+        metric.series.set(key, { labels, value: previous + value });
+      }
+    }
+
+    return metrics.filter(metric => metric.series.size > 0);
+  }
+
+  static _labelKey(labels) {
+    return JSON.stringify(Object.keys(labels).sort().map(key => [key, labels[key]]));
+  }
+
+  // --------------------------------------------------------------------------
+  // Formats
+  // --------------------------------------------------------------------------
+
+  /**
+   * OTLP/JSON ExportTraceServiceRequest
+   */
+  toOTLPTraces(spans = this.spans) {
+    return {
+      resourceSpans: [{
+        resource: this._otlpResource(),
+        scopeSpans: [{
+          scope: { name: 'jsonflow' },
+          spans: spans.map(span => ({
+            traceId: span.trace_id,
+            spanId: span.span_id,
+            ...(span.parent_span_id ? { parentSpanId: span.parent_span_id } : {}),
+            name: span.name,
+            kind: Telemetry.spanKinds[span.kind],
+            startTimeUnixNano: toUnixNano(span.start_time),
+            endTimeUnixNano: toUnixNano(span.end_time ?? now()),
+            attributes: Telemetry._otlpAttributes(span.attributes),
+            events: span.events.map(event => ({
+              timeUnixNano: toUnixNano(event.time),
+              name: event.name,
+              attributes: Telemetry._otlpAttributes(event.attributes)
+            })),
+            status: {
+              code: Telemetry.statusCodes[span.status.code],
+              ...(span.status.message ? { message: span.status.message } : {})
+            }
+          }))
+        }]
+      }]
+    };
+  }
+
+  /**
+   * OTLP/JSON ExportMetricsServiceRequest with cumulative temporality
+   */
+  toOTLPMetrics() {
+    const startTimeUnixNano = toUnixNano(this.startTime);
+    const timeUnixNano = toUnixNano(now());
+    const point = series => ({
+      attributes: Telemetry._otlpAttributes(series.labels),
+      startTimeUnixNano,
+      timeUnixNano
+    });
+
+    return {
+      resourceMetrics: [{
+        resource: this._otlpResource(),
+        scopeMetrics: [{
+          scope: { name: 'jsonflow' },
+          metrics: this._snapshot().map(metric => {
+            const series = [...metric.series.values()];
+            const base = { name: metric.name, description: metric.help };
+
+            if (metric.type === 'counter') {
+              return {
+                ...base,
+                sum: {
+                  aggregationTemporality: 2,
+                  isMonotonic: true,
+                  dataPoints: series.map(s => ({ ...point(s), asDouble: s.value }))
+                }
+              };
+            }
+            if (metric.type === 'histogram') {
+              return {
+                ...base,
+                unit: 'ms',
+                histogram: {
+                  aggregationTemporality: 2,
+                  dataPoints: series.map(s => ({
+                    ...point(s),
+                    count: String(s.count),
+                    sum: s.sum,
+                    // OTLP buckets are per interval, the last one unbounded
+                    bucketCounts: [...s.buckets, s.count].map((n, idx, all) => String(idx === 0 ? n : n - all[idx - 1])),
+                    explicitBounds: this.buckets
+                  }))
+                }
+              };
+            }
+            return {
+              ...base,
+              gauge: { dataPoints: series.map(s => ({ ...point(s), asDouble: s.value })) }
+            };
+          })
+        }]
+      }]
+    };
+  }
+
+  /**
+   * Prometheus text exposition format (0.0.4)
+   */
+  toPrometheus() {
+    const lines = [];
+    const format = (labels, extra = {}) => {
+      const entries = Object.entries({ ...labels, ...extra });
+      if (entries.length === 0) return '';
+      const escaped = entries.map(([key, value]) =>
+        `${key}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+      return `{${escaped.join(',')}}`;
+    };
+
+    for (const metric of this._snapshot()) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+      for (const series of metric.series.values()) {
+        if (metric.type !== 'histogram') {
+          lines.push(`${metric.name}${format(series.labels)} ${series.value}`);
+          continue;
+        }
+        this.buckets.forEach((bound, idx) => {
+          lines.push(`${metric.name}_bucket${format(series.labels, { le: bound })} ${series.buckets[idx]}`);
+        });
+        lines.push(`${metric.name}_bucket${format(series.labels, { le: '+Inf' })} ${series.count}`);
+        lines.push(`${metric.name}_sum${format(series.labels)} ${series.sum}`);
+        lines.push(`${metric.name}_count${format(series.labels)} ${series.count}`);
+      }
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  _otlpResource() {
+    return { attributes: Telemetry._otlpAttributes({ 'service.name': this.serviceName }) };
+  }
+
+  static _otlpAttributes(attributes) {
+    return Object.entries(attributes)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => {
+        if (typeof value === 'boolean') return { key, value: { boolValue: value } };
+        if (Number.isInteger(value)) return { key, value: { intValue: String(value) } };
+        if (typeof value === 'number') return { key, value: { doubleValue: value } };
+        return { key, value: { stringValue: String(value) } };
+      });
+  }
+}
+
+Telemetry.defaultBuckets = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000, 30000, 60000];
+
+Telemetry.definitions = {
+  jsonflow_runs_total: { type: 'counter', help: 'Finished workflow runs by workflow and status' },
+  jsonflow_run_duration_ms: { type: 'histogram', help: 'Workflow run duration in milliseconds' },
+  jsonflow_steps_total: { type: 'counter', help: 'Step attempts by adapter, step type and status' },
+  jsonflow_step_duration_ms: { type: 'histogram', help: 'Step attempt latency in milliseconds as measured by the adapter' },
+  jsonflow_step_retries_total: { type: 'counter', help: 'Step retries by adapter and step type' },
+  jsonflow_resource_in_use: { type: 'gauge', help: 'Pooled resources currently reserved by running steps' },
+  jsonflow_resource_capacity: { type: 'gauge', help: 'Host capacity of each pooled resource' },
+  jsonflow_resource_reservations: { type: 'gauge', help: 'Steps currently holding a resource reservation' }
+};
+
+Telemetry.spanKinds = { internal: 1, server: 2, client: 3 };
+Telemetry.statusCodes = { unset: 0, ok: 1, error: 2 };
+
+// ============================================================================
+// EXPORTERS
+// ============================================================================
+
+/**
+ * OTLP File Exporter - Appends one OTLP/JSON request per line (the layout
+ * of the OpenTelemetry Collector's file exporter): a traces line when there
+ * are spans, then a metrics line
+ */
+class OTLPFileExporter {
+  constructor(filePath) {
+    if (!isNode) {
+      throw new Error('OTLPFileExporter requires Node.js');
+    }
+    this.filePath = filePath;
+    this.fs = require('fs');
+  }
+
+  async export(telemetry, spans) {
+    const lines = [];
+    if (spans.length > 0) {
+      lines.push(JSON.stringify(telemetry.toOTLPTraces(spans)));
+    }
+    lines.push(JSON.stringify(telemetry.toOTLPMetrics()));
+    await this.fs.promises.appendFile(this.filePath, lines.join('\n') + '\n', 'utf8');
+  }
+}
+
+/**
+ * Prometheus Exporter - Serves the metrics for scraping. Use `handler()` to
+ * mount them on an existing server, or `listen()` for a dedicated one.
+ */
+class PrometheusExporter {
+  constructor(telemetry, { port = 9464, host = '127.0.0.1', path = '/metrics' } = {}) {
+    this.telemetry = telemetry;
+    this.port = port;
+    this.host = host;
+    this.path = path;
+    this.server = null;
+  }
+
+  handler() {
+    return (req, res) => {
+      if (req.method !== 'GET' || req.url.split('?')[0] !== this.path) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not found\n');
+        return;
+      }
+
+      let body;
+      try {
+        body = this.telemetry.toPrometheus();
+      } catch (error) {
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end(`${error.message}\n`);
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+      res.end(body);
+    };
+  }
+
+  /**
+   * Start a dedicated HTTP server; resolves with its address
+   */
+  listen() {
+    if (!isNode) {
+      return Promise.reject(new Error('PrometheusExporter.listen requires Node.js'));
+    }
+
+    const http = require('http');
+    this.server = http.createServer(this.handler());
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => resolve(this.server.address()));
+    });
+  }
+
+  close() {
+    if (!this.server) return Promise.resolve();
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  // Pull-based: nothing to push when the telemetry is flushed
+  async export() {}
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    Telemetry,
+    TraceContext,
+    Span,
+    OTLPFileExporter,
+    PrometheusExporter
+  };
+} else if (typeof window !== 'undefined') {
+  window.JSONFlow = window.JSONFlow || {};
+  window.JSONFlow.Telemetry = Telemetry;
+  window.JSONFlow.TraceContext = TraceContext;
+  window.JSONFlow.Span = Span;
+}
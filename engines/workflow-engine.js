@@ -1,5 +1,9 @@
 // Unified Address Dispatch Engine
 // Executes JSONFlow workflows with cryptographic signing, storage, and multi-transport routing
+//
+// Its step types are also available as JSONFlowEngine adapters (see
+// adapters/dispatch-adapter.js), which record receipts; workflows in this
+// format are migrated to the current DSL when JSONFlowEngine parses them.
 
 class WorkflowEngine {
   constructor() {
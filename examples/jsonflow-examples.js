@@ -5,10 +5,44 @@
 
 // Import the engine (works in both Node.js and browser)
 let JSONFlow;
+let CryptoAdapter;
+let ChainAdapter;
+let Dispatch;
 if (typeof require !== 'undefined') {
-  JSONFlow = require('./jsonflow-engine.js');
+  // Side by side with the engine when deployed, or from the source tree
+  // (npm test)
+  const load = (file, directory) => {
+    try {
+      return require(`./${file}`);
+    } catch (error) {
+      if (error.code !== 'MODULE_NOT_FOUND' || !error.message.includes(`'./${file}'`)) throw error;
+      return require(`../${directory}/${file}`);
+    }
+  };
+  JSONFlow = load('jsonflow-engine.js', 'engines');
+  ({ CryptoAdapter } = load('crypto-adapter.js', 'adapters'));
+  ({ ChainAdapter } = load('blockchain-adapter.js', 'adapters'));
+  Dispatch = load('dispatch-adapter.js', 'adapters');
 } else {
   JSONFlow = window.JSONFlow;
+  CryptoAdapter = window.CryptoAdapter;
+  ChainAdapter = window.ChainAdapter;
+  Dispatch = window.JSONFlow;
+}
+
+/**
+ * Fail the example (and npm test) when an expected behavior does not hold
+ */
+function expect(condition, message) {
+  if (!condition) {
+    throw new Error(`Expectation failed: ${message}`);
+  }
+}
+
+function printHeader(title) {
+  console.log('\n========================================');
+  console.log(title);
+  console.log('========================================\n');
 }
 
 // ============================================================================
@@ -235,9 +269,9 @@ async function exampleErrorHandling() {
       },
       {
         id: 'step2',
-        type: 'invalid_step_type',  // This will fail
+        type: 'transform_sort',  // This will fail: step1's result is not an array
         params: {
-          input: 'This will fail'
+          input: '$step1.result'
         },
         parent_step_ids: ['step1']
       },
@@ -376,6 +410,21 @@ async function exampleMerkleProofVerification() {
     console.log(`  ${receipt.step_id}: ${isValid ? '✓ Verified' : '✗ Invalid'}`);
   }
 
+  // Concurrent runs append to the same receipt log and Merkle tree
+  console.log('\nVerifying Four Concurrent Runs:');
+  const runs = await Promise.all([1, 2, 3, 4].map(() => engine.execute(workflow)));
+
+  for (const run of runs) {
+    let verified = run.status === 'success';
+    for (const receipt of run.receipts) {
+      verified = verified && await engine.receiptStore.verifyReceipt(receipt.step_id, run.run_id);
+    }
+    console.log(`  ${run.run_id}: ${verified ? '✓ Verified' : '✗ Invalid'}`);
+    if (!verified) {
+      throw new Error(`Concurrent run ${run.run_id} did not verify`);
+    }
+  }
+
   return result;
 }
 
@@ -561,6 +610,632 @@ async function exampleHealthChecks() {
   return health;
 }
 
+// ============================================================================
+// EXAMPLE 10: Concurrency Limits
+// ============================================================================
+
+async function exampleConcurrencyLimits() {
+  printHeader('EXAMPLE 10: Concurrency Limits');
+
+  const engine = new JSONFlow.JSONFlowEngine([], { max_concurrency: 2 });
+
+  let running = 0;
+  let peak = 0;
+  engine.on('step:start', () => { peak = Math.max(peak, ++running); });
+  engine.on('step:end', () => { running--; });
+
+  const workflow = {
+    workflow: 'bounded_fan_out',
+    version: '1.0.0',
+    steps: ['a', 'b', 'c', 'd', 'e'].map(id => ({
+      id,
+      type: 'mock_compute',
+      params: { input: `Independent step ${id}`, delay_ms: 30 }
+    }))
+  };
+
+  const result = await engine.execute(workflow);
+
+  console.log('Workflow Status:', result.status);
+  console.log('Independent Steps:', workflow.steps.length);
+  console.log('Peak Steps In Flight:', peak);
+
+  expect(result.status === 'success', 'bounded workflow succeeds');
+  expect(peak === 2, `at most 2 steps run at once (saw ${peak})`);
+
+  return result;
+}
+
+// ============================================================================
+// EXAMPLE 11: Retry Policies
+// ============================================================================
+
+/**
+ * Fails with a retryable error for its first `failures` calls
+ */
+class FlakyAdapter extends JSONFlow.Adapter {
+  constructor(failures) {
+    super();
+    this.failures = failures;
+    this.calls = 0;
+  }
+
+  getManifest() {
+    return {
+      adapter_id: 'flaky',
+      version: '1.0.0',
+      step_types: [{ type: 'flaky_fetch' }]
+    };
+  }
+
+  validate(step) {
+    return step.type === 'flaky_fetch' ? { valid: true } : { valid: false, error: 'Unknown step type' };
+  }
+
+  async execute(step) {
+    this.calls++;
+    const failed = this.calls <= this.failures;
+
+    return {
+      step_id: step.id,
+      status: failed ? 'error' : 'success',
+      ...(failed
+        ? { error: { code: 'UPSTREAM_UNAVAILABLE', message: 'Upstream unavailable', retryable: true } }
+        : { output: { call: this.calls } }),
+      execution_metadata: {
+        timestamp: new Date().toISOString(),
+        latency_ms: 1,
+        adapter_version: this.getManifest().version
+      }
+    };
+  }
+}
+
+async function exampleRetryPolicies() {
+  printHeader('EXAMPLE 11: Retry Policies');
+
+  const engine = new JSONFlow.JSONFlowEngine([new FlakyAdapter(2)]);
+
+  const workflow = {
+    workflow: 'retry_demo',
+    version: '1.0.0',
+    steps: [
+      {
+        id: 'fetch',
+        type: 'flaky_fetch',
+        params: {},
+        retry: { max_attempts: 3, backoff: 'exponential', initial_delay_ms: 10 }
+      }
+    ]
+  };
+
+  const result = await engine.execute(workflow);
+
+  console.log('Workflow Status:', result.status);
+  console.log('Attempts:', result.steps[0].attempts);
+  result.receipts.forEach(receipt => {
+    console.log(`  attempt ${receipt.execution_metadata.attempt}: ${receipt.status}`);
+  });
+
+  expect(result.status === 'success', 'the third attempt succeeds');
+  expect(result.steps[0].attempts === 3, 'each attempt is counted');
+  expect(result.receipts.length === 3, 'each attempt has its own receipt');
+
+  return result;
+}
+
+// ============================================================================
+// EXAMPLE 12: Conditional Steps and Branching
+// ============================================================================
+
+async function exampleConditionsAndBranching() {
+  printHeader('EXAMPLE 12: Conditional Steps and Branching');
+
+  const engine = new JSONFlow.JSONFlowEngine();
+
+  const workflow = {
+    workflow: 'triage',
+    version: '1.0.0',
+    inputs: {
+      category: { type: 'string', enum: ['spam', 'ham', 'other'] },
+      priority: { type: 'string', default: 'normal' }
+    },
+    steps: [
+      {
+        id: 'escalate',
+        type: 'mock_compute',
+        params: { input: 'Page the on-call' },
+        when: '$inputs.priority == "urgent"'
+      },
+      {
+        id: 'route',
+        type: 'switch',
+        params: { value: '$inputs.category', cases: { spam: ['quarantine'], ham: ['store'] }, default: ['review'] }
+      },
+      { id: 'quarantine', type: 'mock_compute', params: { input: 'Quarantine' }, parent_step_ids: ['route'] },
+      { id: 'store', type: 'mock_compute', params: { input: 'Store' }, parent_step_ids: ['route'] },
+      { id: 'review', type: 'mock_compute', params: { input: 'Review' }, parent_step_ids: ['route'] }
+    ]
+  };
+
+  const result = await engine.execute(workflow, { category: 'spam' });
+  const status = id => result.receipts.find(r => r.step_id === id).status;
+
+  console.log('Workflow Status:', result.status);
+  result.receipts.forEach(receipt => {
+    console.log(`  ${receipt.step_id}: ${receipt.status}${receipt.skip_reason ? ` (${receipt.skip_reason})` : ''}`);
+  });
+
+  expect(result.status === 'success', 'triage succeeds');
+  expect(status('escalate') === 'skipped', 'escalate is skipped for normal priority');
+  expect(status('quarantine') === 'success', 'the spam case runs');
+  expect(status('store') === 'skipped' && status('review') === 'skipped', 'branches not taken are skipped');
+
+  return result;
+}
+
+// ============================================================================
+// EXAMPLE 13: Foreach
+// ============================================================================
+
+async function exampleForeach() {
+  printHeader('EXAMPLE 13: Foreach (Fan-Out Over a Collection)');
+
+  const engine = new JSONFlow.JSONFlowEngine();
+
+  const workflow = {
+    workflow: 'per_document',
+    version: '1.0.0',
+    inputs: { documents: { type: 'array', items: { type: 'string' } } },
+    steps: [
+      {
+        id: 'each',
+        type: 'foreach',
+        params: {
+          items: '$inputs.documents',
+          steps: [
+            { id: 'parse', type: 'mock_compute', params: { input: '$item' } },
+            { id: 'index', type: 'mock_compute', params: { input: '$parse.result' }, parent_step_ids: ['parse'] }
+          ]
+        }
+      }
+    ]
+  };
+
+  const result = await engine.execute(workflow, { documents: ['alpha', 'beta', 'gamma'] });
+  const foreach = result.receipts.find(r => r.step_id === 'each');
+
+  console.log('Workflow Status:', result.status);
+  console.log('Child Steps:', foreach.output.child_step_ids.join(', '));
+  foreach.output.results.forEach((output, index) => console.log(`  [${index}] ${output.result}`));
+
+  expect(result.status === 'success', 'foreach succeeds');
+  expect(foreach.output.count === 3, 'one result per item');
+  expect(foreach.output.child_step_ids.includes('each[1].index'), 'child IDs include the template path');
+  expect(foreach.output.results[1].result === 'Processed: Processed: beta', 'templates see their siblings per item');
+
+  return result;
+}
+
+// ============================================================================
+// EXAMPLE 14: Sub-Workflow Calls
+// ============================================================================
+
+async function exampleWorkflowCall() {
+  printHeader('EXAMPLE 14: Sub-Workflow Calls');
+
+  const engine = new JSONFlow.JSONFlowEngine();
+
+  const { hash } = await engine.registerWorkflow({
+    workflow: 'greet',
+    inputs: { name: { type: 'string', required: true } },
+    steps: [{ id: 'hello', type: 'mock_compute', params: { input: 'Hello ${$inputs.name}' } }]
+  });
+
+  const workflow = {
+    workflow: 'caller',
+    version: '1.0.0',
+    steps: [
+      { id: 'call', type: 'workflow_call', params: { workflow: 'greet', inputs: { name: 'Ada' } } },
+      { id: 'echo', type: 'mock_compute', params: { input: '$call.outputs.hello.result' }, parent_step_ids: ['call'] }
+    ]
+  };
+
+  const result = await engine.execute(workflow);
+  const call = result.receipts.find(r => r.step_id === 'call');
+
+  console.log('Workflow Status:', result.status);
+  console.log('Called Workflow Hash:', hash);
+  console.log('Child Run:', call.output.run_id, '- Merkle Root:', call.output.merkle_root);
+  console.log('Child Output:', call.output.outputs.hello.result);
+
+  expect(result.status === 'success', 'caller succeeds');
+  expect(call.output.workflow_hash === hash, 'the receipt records the called workflow');
+  expect(call.output.outputs.hello.result === 'Processed: Hello Ada', 'child outputs are passed back');
+
+  return result;
+}
+
+// ============================================================================
+// EXAMPLE 15: Workflow Inputs
+// ============================================================================
+
+async function exampleWorkflowInputs() {
+  printHeader('EXAMPLE 15: Workflow Inputs');
+
+  const engine = new JSONFlow.JSONFlowEngine();
+
+  const workflow = {
+    workflow: 'notify',
+    version: '1.0.0',
+    inputs: {
+      recipient: { type: 'string', required: true },
+      channel: { type: 'string', enum: ['email', 'sms'], default: 'email' },
+      // `required: true` marks a required input; an array is JSON Schema's
+      // list of required properties
+      sender: { type: 'object', required: ['id'], properties: { id: { type: 'string' } } }
+    },
+    steps: [
+      { id: 'send', type: 'mock_compute', params: { input: '${$inputs.channel} to ${$inputs.recipient}' } }
+    ]
+  };
+
+  const result = await engine.execute(workflow, { recipient: 'ops@example.com' });
+  console.log('Workflow Status:', result.status);
+  console.log('Resolved Inputs:', JSON.stringify(result.inputs));
+
+  let rejected;
+  try {
+    await engine.execute(workflow, { channel: 'fax' });
+  } catch (error) {
+    rejected = error;
+  }
+  console.log('Invalid Inputs Rejected:', rejected ? rejected.errors.map(e => e.path).join(', ') : 'no');
+
+  let incomplete;
+  try {
+    await engine.execute(workflow, { recipient: 'ops@example.com', sender: {} });
+  } catch (error) {
+    incomplete = error;
+  }
+  console.log('Sender Without ID Rejected:', incomplete ? incomplete.errors.map(e => e.path).join(', ') : 'no');
+
+  expect(result.inputs.channel === 'email', 'defaults are applied');
+  expect(result.receipts[0].output.result === 'Processed: email to ops@example.com', 'inputs are interpolated');
+  expect(rejected && rejected.errors.length === 2, 'the missing recipient and the bad channel are both reported');
+  expect(!('sender' in result.inputs), 'an input with required properties is itself optional');
+  expect(incomplete && incomplete.errors[0].path === '/sender/id', 'required properties of an input are checked');
+
+  return result;
+}
+
+// ============================================================================
+// EXAMPLE 16: Resume and Replay Divergence
+// ============================================================================
+
+/**
+ * Declares itself deterministic but returns a different value on each call
+ */
+class DriftingAdapter extends JSONFlow.Adapter {
+  constructor() {
+    super();
+    this.calls = 0;
+  }
+
+  getManifest() {
+    return {
+      adapter_id: 'drifting',
+      version: '1.0.0',
+      step_types: [{ type: 'drifting_score', deterministic: true }]
+    };
+  }
+
+  validate(step) {
+    return step.type === 'drifting_score' ? { valid: true } : { valid: false, error: 'Unknown step type' };
+  }
+
+  async execute(step) {
+    return {
+      step_id: step.id,
+      status: 'success',
+      output: { score: ++this.calls },
+      execution_metadata: {
+        timestamp: new Date().toISOString(),
+        latency_ms: 1,
+        adapter_version: this.getManifest().version
+      }
+    };
+  }
+}
+
+async function exampleResumeAndReplay() {
+  printHeader('EXAMPLE 16: Resume and Replay Divergence');
+
+  // The flaky step fails once, without a retry policy
+  const engine = new JSONFlow.JSONFlowEngine([new FlakyAdapter(1), new DriftingAdapter()]);
+
+  const workflow = {
+    workflow: 'resumable',
+    version: '1.0.0',
+    steps: [
+      { id: 'prepare', type: 'mock_compute', params: { input: 'Prepare' } },
+      { id: 'fetch', type: 'flaky_fetch', params: {}, parent_step_ids: ['prepare'] },
+      { id: 'score', type: 'drifting_score', params: {}, parent_step_ids: ['fetch'] }
+    ]
+  };
+
+  const failed = await engine.execute(workflow);
+  console.log('First Run:', failed.status, '- failed at', failed.failed_step);
+
+  const resumed = await engine.resume(failed.run_id);
+  console.log('Resumed Run:', resumed.status, '- resumed from', resumed.resumed_from);
+  resumed.steps.forEach(step => console.log(`  ${step.step_id}: ${step.status}${step.reused ? ' (reused)' : ''}`));
+
+  const report = await engine.replay(resumed.receipts, { workflow });
+  console.log('\nReplay Deterministic:', report.deterministic);
+  report.steps.forEach(step => console.log(`  ${step.step_id}: ${step.status}`));
+
+  expect(failed.status === 'failed' && failed.failed_step === 'fetch', 'the first run fails at fetch');
+  expect(resumed.status === 'success', 'the resumed run succeeds');
+  expect(resumed.steps.find(s => s.step_id === 'prepare').reused, 'prepare is not executed again');
+  expect(!report.deterministic, 'replay notices the drifting step');
+  expect(report.steps.find(s => s.step_id === 'score').status === 'diverged', 'the divergence is reported at score');
+  expect(report.steps.find(s => s.step_id === 'prepare').status === 'match', 'mock_compute replays identically');
+
+  return { failed, resumed, report };
+}
+
+// ============================================================================
+// EXAMPLE 17: Cancellation
+// ============================================================================
+
+async function exampleCancellation() {
+  printHeader('EXAMPLE 17: Cancellation');
+
+  const engine = new JSONFlow.JSONFlowEngine();
+
+  const workflow = {
+    workflow: 'long_running',
+    version: '1.0.0',
+    steps: [
+      { id: 'slow', type: 'mock_compute', params: { input: 'Slow', delay_ms: 500 } },
+      { id: 'after', type: 'mock_compute', params: { input: 'Never starts' }, parent_step_ids: ['slow'] }
+    ]
+  };
+
+  engine.once('run:start', ({ run_id }) => setTimeout(() => engine.cancel(run_id, 'Operator abort'), 20));
+  const started = Date.now();
+  const result = await engine.execute(workflow);
+
+  console.log('Workflow Status:', result.status);
+  console.log('Error:', JSON.stringify(result.error));
+  console.log('Returned After:', Date.now() - started + 'ms');
+
+  expect(result.status === 'cancelled', 'the run is cancelled');
+  expect(result.error.code === 'CANCELLED' && result.error.message === 'Operator abort', 'the reason is recorded');
+  expect(!result.receipts.some(r => r.step_id === 'after'), 'no step starts after cancel');
+
+  return result;
+}
+
+// ============================================================================
+// EXAMPLE 18: Planning (Dry Run)
+// ============================================================================
+
+async function examplePlan() {
+  printHeader('EXAMPLE 18: Planning (Dry Run)');
+
+  const engine = new JSONFlow.JSONFlowEngine();
+
+  const workflow = {
+    workflow: 'diamond_plan',
+    version: '1.0.0',
+    inputs: { text: { type: 'string', required: true } },
+    steps: [
+      { id: 'fetch', type: 'mock_compute', params: { input: '$inputs.text' } },
+      { id: 'left', type: 'mock_compute', params: { input: '$fetch.result' }, parent_step_ids: ['fetch'] },
+      { id: 'right', type: 'mock_compute', params: { input: '$fetch.result' }, parent_step_ids: ['fetch'] },
+      { id: 'merge', type: 'mock_compute', params: { input: 'Merge' }, parent_step_ids: ['left', 'right'] }
+    ]
+  };
+
+  const plan = await engine.plan(workflow, { text: 'hello' });
+  console.log('Plan Valid:', plan.valid);
+  console.log('Waves:', JSON.stringify(plan.waves));
+
+  const invalid = await engine.plan(workflow, {});
+  console.log('Without Inputs:', invalid.valid, JSON.stringify(invalid.errors));
+
+  // Gas estimates before minting or sending funds
+  const chain = new ChainAdapter();
+  const chainEngine = new JSONFlow.JSONFlowEngine([chain]);
+  const mint = {
+    workflow: 'mint_and_pay',
+    version: '1.0.0',
+    inputs: { collector: { type: 'string', required: true } },
+    steps: [
+      {
+        id: 'mint',
+        type: 'chain_mint',
+        params: { chain: 'base', contract: '0xC011EC7', to: '$inputs.collector', privateKey: 'vault://treasury/key' }
+      },
+      {
+        id: 'royalty',
+        type: 'chain_transfer',
+        params: { chain: 'polygon', to: '0xA871157', amount: 5, privateKey: 'vault://treasury/key' },
+        parent_step_ids: ['mint']
+      }
+    ]
+  };
+
+  const chainPlan = await chainEngine.plan(mint, { collector: '0xB0B' });
+  console.log('\nGas Estimates:');
+  chainPlan.steps.forEach(step => {
+    console.log(`  ${step.step_id} on ${step.estimate.chain}: ${step.estimate.gasLimit} gas, ${step.estimate.totalCost}`);
+  });
+
+  expect(plan.valid, 'the plan is valid');
+  expect(JSON.stringify(plan.waves) === JSON.stringify([['fetch'], ['left', 'right'], ['merge']]), 'steps are grouped into waves');
+  expect(!invalid.valid, 'missing inputs make the plan invalid');
+  expect(engine.receiptStore.getLogSize() === 0, 'planning records nothing');
+  expect(chainPlan.valid && chainPlan.steps.every(step => step.estimate.gasLimit > 0), 'chain steps carry a gas estimate');
+  expect(chainPlan.steps[0].estimate.gasLimit > chainPlan.steps[1].estimate.gasLimit, 'minting costs more gas than a transfer');
+  expect(chain.blockchain.transactions.size === 0, 'no transaction is signed or submitted');
+
+  return plan;
+}
+
+// ============================================================================
+// EXAMPLE 19: Migrating Legacy Workflows
+// ============================================================================
+
+async function exampleMigrations() {
+  printHeader('EXAMPLE 19: Migrating Legacy Workflows');
+
+  const legacy = {
+    function: 'legacy_notify',
+    steps: [
+      { id: 'compose', type: 'mock_compute', config: { input: '{{inputs.text}}' } },
+      { id: 'audit', type: 'mock_compute', config: { input: 'Audit' } },
+      { id: 'deliver', type: 'mock_compute', config: { input: 'Deliver: {{steps.compose.output.result}}' } }
+    ]
+  };
+
+  const { workflow, from_version, migrations } = JSONFlow.Migrations.migrate(legacy);
+  console.log('Migrated From:', from_version, '->', workflow.dsl_version);
+  workflow.steps.forEach(step => {
+    console.log(`  ${step.id}: ${JSON.stringify(step.params)} after ${JSON.stringify(step.parent_step_ids || [])}`);
+  });
+  console.log('Changes:', migrations[0].diff.length);
+
+  const engine = new JSONFlow.JSONFlowEngine();
+  const result = await engine.execute(legacy, { text: 'Hi' });
+  console.log('Legacy Workflow Status:', result.status);
+
+  expect(from_version === JSONFlow.Migrations.LEGACY_VERSION, 'the legacy dialect is detected');
+  expect(workflow.steps[2].params.input === 'Deliver: ${$compose.result}', 'placeholders become references');
+  expect(workflow.steps[1].parent_step_ids.includes('compose'), 'legacy step order is kept');
+  expect(result.status === 'success' && result.migrated_from === from_version, 'legacy workflows run as is');
+
+  return result;
+}
+
+// ============================================================================
+// EXAMPLE 20: Run Bundles
+// ============================================================================
+
+async function exampleRunBundles() {
+  printHeader('EXAMPLE 20: Run Bundles');
+
+  const crypto = new CryptoAdapter();
+  const { publicKey, privateKey } = crypto.generateKeyPair('ed25519');
+  const engine = new JSONFlow.JSONFlowEngine([], { signer: { crypto, key: privateKey } });
+
+  await engine.registerWorkflow({
+    workflow: 'child',
+    steps: [{ id: 'inner', type: 'mock_compute', params: { input: 'Inner' } }]
+  });
+
+  const workflow = {
+    workflow: 'audited',
+    version: '1.0.0',
+    inputs: { text: { type: 'string' } },
+    steps: [
+      { id: 'outer', type: 'mock_compute', params: { input: '$inputs.text' } },
+      { id: 'call', type: 'workflow_call', params: { workflow: 'child' }, parent_step_ids: ['outer'] }
+    ]
+  };
+
+  const result = await engine.execute(workflow, { text: 'Audit me' });
+  const bundle = JSON.parse(JSON.stringify(await engine.exportRun(result.run_id)));
+  const report = await JSONFlow.RunBundle.verify(bundle, publicKey, crypto);
+
+  console.log('Bundle Receipts:', bundle.receipts.length, '- Children:', bundle.children.length);
+  console.log('Verified Offline:', report.valid);
+
+  const tampered = JSON.parse(JSON.stringify(bundle));
+  tampered.inputs.text = 'Something else';
+  const tamperedReport = await JSONFlow.RunBundle.verify(tampered, publicKey, crypto);
+  console.log('Tampered Inputs Verified:', tamperedReport.valid);
+
+  const orphaned = { ...bundle, children: [] };
+  const orphanedReport = await JSONFlow.RunBundle.verify(orphaned, publicKey, crypto);
+  console.log('Missing Child Runs:', JSON.stringify(orphanedReport.missing_children));
+
+  expect(report.valid && report.signature_valid, 'the bundle verifies with its signature');
+  expect(!tamperedReport.valid && !tamperedReport.inputs_valid, 'changed inputs are detected');
+  expect(!orphanedReport.valid, 'a bundle without its child run does not verify');
+
+  return report;
+}
+
+// ============================================================================
+// EXAMPLE 21: Legacy Dispatch Adapters
+// ============================================================================
+
+async function exampleDispatchAdapters() {
+  printHeader('EXAMPLE 21: Legacy Dispatch Adapters');
+
+  // The legacy vault holds a WebCrypto ECDSA P-256 key pair
+  const subtle = globalThis.crypto.subtle;
+  const signingKey = await subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+  const secrets = new Map([['vault://identity/signing-key', signingKey]]);
+  const vault = { get: async pointer => secrets.get(pointer) };
+
+  // Event logs and inboxes persist under the legacy keys (localStorage in
+  // a browser); a second adapter over the same storage is a new session
+  const storage = new Dispatch.MemoryStorage();
+  const engine = new JSONFlow.JSONFlowEngine([
+    new Dispatch.VaultAdapter(vault),
+    new Dispatch.SigningAdapter(new CryptoAdapter(), vault),
+    new Dispatch.MessagingAdapter({ storage })
+  ]);
+
+  const legacy = {
+    function: 'unified_address_dispatch',
+    steps: [
+      { id: 'load_key', type: 'vault_get', config: { pointer: 'vault://identity/signing-key' } },
+      { id: 'sign', type: 'crypto_sign', config: { key: '{{steps.load_key.output}}', payload: { text: '{{inputs.text}}' } } },
+      { id: 'greeting', type: 'json_compose', config: { message: 'Hello {{inputs.to}}' } },
+      { id: 'compose', type: 'json_compose', config: { message: { text: '{{inputs.text}}', greeting: '{{steps.greeting.output.message}}', signature: '{{steps.sign.output.signature}}' } } },
+      { id: 'emit', type: 'event_emit', config: { channel: 'identity://{{inputs.to}}/inbox', payload: '{{steps.compose.output}}' } },
+      { id: 'deliver', type: 'transport_router', config: { recipient: '{{inputs.to}}', payload: '{{steps.compose.output}}', fallback_order: ['sms_gateway', 'app'] } }
+    ]
+  };
+
+  const result = await engine.execute(legacy, { text: 'Hello', to: 'bob' });
+  const receipt = id => result.receipts.find(r => r.step_id === id);
+
+  console.log('Workflow Status:', result.status);
+  result.receipts.forEach(r => console.log(`  ${r.step_id}: ${r.status}`));
+  console.log('Composed From A String:', JSON.stringify(receipt('greeting').output));
+  console.log('Delivered Over:', receipt('deliver').output.final_transport);
+
+  // Verified as the legacy CryptoService verifies
+  const { signature, payload, algorithm } = receipt('sign').output;
+  const signatureValid = await subtle.verify(
+    { name: 'ECDSA', hash: 'SHA-256' },
+    signingKey.publicKey,
+    Uint8Array.from(atob(signature), c => c.charCodeAt(0)),
+    new TextEncoder().encode(JSON.stringify(payload))
+  );
+  console.log('Signature:', algorithm, signatureValid ? '✓ Verified' : '✗ Invalid');
+
+  const nextSession = new Dispatch.MessagingAdapter({ storage });
+  const inbox = nextSession.router.transports.app.getInbox('bob');
+  const events = nextSession.eventBus.getEventLog('bob');
+  console.log('Inbox After Reload:', inbox.length, '- Event Log:', events.length);
+
+  expect(result.status === 'success', 'the legacy dispatch workflow runs');
+  expect(receipt('greeting').output.message === 'Hello bob', 'a composed string is output as { message }');
+  expect(algorithm === 'ECDSA-SHA256' && signatureValid, 'the signature is the one legacy verifiers accept');
+  expect(receipt('deliver').output.final_transport === 'app', 'delivery falls back to the app inbox');
+  expect(inbox.length === 1 && events.length === 1, 'inboxes and event logs outlive the adapter');
+  expect(storage.getItem('inbox:bob') !== null && storage.getItem('events:bob') !== null, 'they use the legacy storage keys');
+
+  return result;
+}
+
 // ============================================================================
 // RUN ALL EXAMPLES
 // ============================================================================
@@ -580,6 +1255,18 @@ async function runAllExamples() {
     await exampleCustomAdapter();
     await exampleReplay();
     await exampleHealthChecks();
+    await exampleConcurrencyLimits();
+    await exampleRetryPolicies();
+    await exampleConditionsAndBranching();
+    await exampleForeach();
+    await exampleWorkflowCall();
+    await exampleWorkflowInputs();
+    await exampleResumeAndReplay();
+    await exampleCancellation();
+    await examplePlan();
+    await exampleMigrations();
+    await exampleRunBundles();
+    await exampleDispatchAdapters();
 
     console.log('\n╔════════════════════════════════════════════════════════════╗');
     console.log('║              All Examples Completed Successfully!         ║');
@@ -588,6 +1275,9 @@ async function runAllExamples() {
   } catch (error) {
     console.error('\n❌ Example failed:', error.message);
     console.error(error.stack);
+    if (typeof process !== 'undefined') {
+      process.exitCode = 1;
+    }
   }
 }
 
@@ -606,8 +1296,22 @@ if (typeof module !== 'undefined' && module.exports) {
     exampleCustomAdapter,
     exampleReplay,
     exampleHealthChecks,
+    exampleConcurrencyLimits,
+    exampleRetryPolicies,
+    exampleConditionsAndBranching,
+    exampleForeach,
+    exampleWorkflowCall,
+    exampleWorkflowInputs,
+    exampleResumeAndReplay,
+    exampleCancellation,
+    examplePlan,
+    exampleMigrations,
+    exampleRunBundles,
+    exampleDispatchAdapters,
     runAllExamples,
-    MathAdapter
+    MathAdapter,
+    FlakyAdapter,
+    DriftingAdapter
   };
 
   // Auto-run if executed directly
@@ -625,7 +1329,21 @@ if (typeof module !== 'undefined' && module.exports) {
     exampleCustomAdapter,
     exampleReplay,
     exampleHealthChecks,
+    exampleConcurrencyLimits,
+    exampleRetryPolicies,
+    exampleConditionsAndBranching,
+    exampleForeach,
+    exampleWorkflowCall,
+    exampleWorkflowInputs,
+    exampleResumeAndReplay,
+    exampleCancellation,
+    examplePlan,
+    exampleMigrations,
+    exampleRunBundles,
+    exampleDispatchAdapters,
     runAllExamples,
-    MathAdapter
+    MathAdapter,
+    FlakyAdapter,
+    DriftingAdapter
   };
 }